@@ -0,0 +1,13 @@
+-- IkLearnEdge Migration 002
+-- Timezone-aware scheduling: users store their IANA timezone and
+-- bookings are stored as absolute instants
+
+-- User timezone (IANA name, e.g. 'Asia/Karachi')
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+-- Existing naive timestamps were written by a UTC server
+ALTER TABLE bookings
+  ALTER COLUMN scheduled_date TYPE TIMESTAMPTZ USING scheduled_date AT TIME ZONE 'UTC';
+
+ALTER TABLE class_sessions
+  ALTER COLUMN scheduled_at TYPE TIMESTAMPTZ USING scheduled_at AT TIME ZONE 'UTC';
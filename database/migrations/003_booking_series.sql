@@ -0,0 +1,21 @@
+-- IkLearnEdge Migration 003
+-- Recurring weekly bookings: a series groups the linked bookings
+-- and is priced and paid as one unit
+
+CREATE TABLE IF NOT EXISTS booking_series (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL REFERENCES students(id),
+  teacher_id INTEGER NOT NULL REFERENCES teachers(id),
+  subject_id INTEGER NOT NULL REFERENCES subjects(id),
+  grade_level VARCHAR(100) NOT NULL,
+  occurrences INTEGER NOT NULL CHECK (occurrences > 0),
+  duration INTEGER NOT NULL, -- in minutes
+  price_per_hour DECIMAL(10,2) NOT NULL,
+  total_amount DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES booking_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_series_id ON bookings(series_id);
+CREATE INDEX IF NOT EXISTS idx_booking_series_student_id ON booking_series(student_id);
@@ -0,0 +1,14 @@
+-- IkLearnEdge Migration 004
+-- Audit trail of booking status changes
+
+CREATE TABLE IF NOT EXISTS booking_status_history (
+  id SERIAL PRIMARY KEY,
+  booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  from_status VARCHAR(50), -- NULL when the booking was created
+  to_status VARCHAR(50) NOT NULL,
+  changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking_id ON booking_status_history(booking_id);
@@ -0,0 +1,18 @@
+-- IkLearnEdge Migration 005
+-- Cancellation outcomes (refund / credit) recorded against the booking's payment
+
+CREATE TABLE IF NOT EXISTS booking_cancellations (
+  id SERIAL PRIMARY KEY,
+  booking_id INTEGER NOT NULL UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+  payment_proof_id INTEGER REFERENCES payment_proofs(id) ON DELETE SET NULL,
+  cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  cancelled_by_role VARCHAR(20) NOT NULL,
+  hours_before_start DECIMAL(10,2) NOT NULL,
+  outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('full_refund', 'partial_credit', 'none')),
+  refund_percent DECIMAL(5,2) NOT NULL DEFAULT 0,
+  refund_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_cancellations_payment_proof_id ON booking_cancellations(payment_proof_id);
@@ -0,0 +1,20 @@
+-- IkLearnEdge Migration 006
+-- Reschedule proposals: one party proposes a new time, the other accepts or declines
+
+CREATE TABLE IF NOT EXISTS reschedule_requests (
+  id SERIAL PRIMARY KEY,
+  booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  requested_by_role VARCHAR(20) NOT NULL CHECK (requested_by_role IN ('student', 'teacher')),
+  previous_date TIMESTAMPTZ NOT NULL,
+  proposed_date TIMESTAMPTZ NOT NULL,
+  reason TEXT,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'withdrawn')),
+  responded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  responded_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one open proposal per booking
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reschedule_requests_pending
+  ON reschedule_requests(booking_id) WHERE status = 'pending';
@@ -0,0 +1,22 @@
+-- IkLearnEdge Migration 007
+-- Class session lifecycle: one session per confirmed booking with attendance tracking
+
+ALTER TABLE class_sessions ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;
+ALTER TABLE class_sessions ADD COLUMN IF NOT EXISTS ended_at TIMESTAMPTZ;
+ALTER TABLE class_sessions ADD COLUMN IF NOT EXISTS teacher_joined_at TIMESTAMPTZ;
+ALTER TABLE class_sessions ADD COLUMN IF NOT EXISTS student_joined_at TIMESTAMPTZ;
+ALTER TABLE class_sessions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_class_sessions_booking_id ON class_sessions(booking_id);
+CREATE INDEX IF NOT EXISTS idx_class_sessions_status ON class_sessions(status);
+
+DROP TRIGGER IF EXISTS update_class_sessions_updated_at ON class_sessions;
+CREATE TRIGGER update_class_sessions_updated_at BEFORE UPDATE ON class_sessions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backfill sessions for bookings that were already confirmed
+INSERT INTO class_sessions (booking_id, scheduled_at, duration, meeting_link)
+SELECT id, scheduled_date, duration, COALESCE(meeting_link, '')
+FROM bookings
+WHERE status = 'confirmed'
+ON CONFLICT (booking_id) DO NOTHING;
@@ -0,0 +1,7 @@
+-- IkLearnEdge Migration 008
+-- Notification events: which event produced a notification and the ids it refers to
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS event VARCHAR(50);
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS data JSONB NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE is_read = false;
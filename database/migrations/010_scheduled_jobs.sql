@@ -0,0 +1,27 @@
+-- IkLearnEdge Migration 010
+-- Scheduled jobs run by the in-process scheduler (class reminders, ...)
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(50) NOT NULL,
+  booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+  run_at TIMESTAMPTZ NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'skipped', 'failed', 'cancelled')),
+  last_error TEXT,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The same job can only exist once, which keeps scheduling idempotent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_jobs_unique ON scheduled_jobs(type, booking_id, run_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs(run_at) WHERE status = 'pending';
+
+-- Reminders for classes that were already confirmed
+INSERT INTO scheduled_jobs (type, booking_id, run_at, payload)
+SELECT 'class_reminder', b.id, b.scheduled_date - r.minutes * INTERVAL '1 minute', jsonb_build_object('minutes', r.minutes)
+FROM bookings b
+CROSS JOIN (VALUES (1440), (15)) AS r(minutes)
+WHERE b.status = 'confirmed'
+  AND b.scheduled_date - r.minutes * INTERVAL '1 minute' > NOW()
+ON CONFLICT DO NOTHING;
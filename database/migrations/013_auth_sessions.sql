@@ -0,0 +1,27 @@
+-- IkLearnEdge Migration 013
+-- Server-side sessions with rotating refresh tokens
+
+-- One row per login. Access tokens carry the session id, so revoking the
+-- session signs that device out immediately.
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  revoked_at TIMESTAMPTZ,
+  revoked_reason VARCHAR(50),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON auth_sessions(user_id);
+
+-- Refresh tokens of a session form one family: each refresh replaces the
+-- current token, and presenting a replaced token revokes the whole session
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  replaced_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
@@ -0,0 +1,8 @@
+-- IkLearnEdge Migration 014
+-- Device details for the active sessions list
+
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64);
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ DEFAULT NOW();
+
+UPDATE auth_sessions SET last_used_at = created_at WHERE last_used_at IS NULL;
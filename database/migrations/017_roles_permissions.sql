@@ -0,0 +1,48 @@
+-- IkLearnEdge Migration 017
+-- Roles mapped to permission sets. users.role now references roles, so
+-- admins can add limited staff roles without code changes.
+
+CREATE TABLE IF NOT EXISTS roles (
+  name VARCHAR(50) PRIMARY KEY,
+  description TEXT,
+  -- Built-in roles cannot be deleted
+  is_system BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role VARCHAR(50) NOT NULL REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+  permission VARCHAR(100) NOT NULL,
+  PRIMARY KEY (role, permission)
+);
+
+INSERT INTO roles (name, description, is_system) VALUES
+  ('admin', 'Full access', true),
+  ('teacher', 'Teaches lessons', true),
+  ('student', 'Books lessons', true),
+  ('payments_reviewer', 'Reviews payment proofs', false)
+ON CONFLICT (name) DO NOTHING;
+
+-- '*' grants every permission. Teachers and students act on their own
+-- records only, which the routes check by ownership.
+INSERT INTO role_permissions (role, permission) VALUES
+  ('admin', '*'),
+  ('payments_reviewer', 'payments:read_all'),
+  ('payments_reviewer', 'payments:verify'),
+  ('payments_reviewer', 'bookings:read_all')
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_role_fkey') THEN
+    ALTER TABLE users ADD CONSTRAINT users_role_fkey
+      FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+  END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS update_roles_updated_at ON roles;
+CREATE TRIGGER update_roles_updated_at BEFORE UPDATE ON roles
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
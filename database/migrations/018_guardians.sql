@@ -0,0 +1,27 @@
+-- IkLearnEdge Migration 018
+-- Parent/guardian accounts linked to student profiles
+
+INSERT INTO roles (name, description, is_system) VALUES
+  ('parent', 'Parent or guardian of one or more students', true)
+ON CONFLICT (name) DO NOTHING;
+
+-- A parent asks to be linked; the link is active once the student approves
+CREATE TABLE IF NOT EXISTS guardian_links (
+  id SERIAL PRIMARY KEY,
+  parent_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  relationship VARCHAR(50),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'active', 'declined', 'revoked')),
+  responded_at TIMESTAMPTZ,
+  revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- At most one open (pending or active) link per parent and student
+CREATE UNIQUE INDEX IF NOT EXISTS idx_guardian_links_open
+  ON guardian_links(parent_user_id, student_id)
+  WHERE status IN ('pending', 'active');
+
+CREATE INDEX IF NOT EXISTS idx_guardian_links_student_id ON guardian_links(student_id);
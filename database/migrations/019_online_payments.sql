@@ -0,0 +1,37 @@
+-- IkLearnEdge Migration 019
+-- Online payments through a checkout provider, confirmed by webhook
+
+CREATE TABLE IF NOT EXISTS payment_checkouts (
+  id SERIAL PRIMARY KEY,
+  -- First booking of the payment unit (a single booking or a whole series)
+  booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  provider VARCHAR(30) NOT NULL,
+  provider_session_id VARCHAR(255) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'completed', 'expired', 'failed')),
+  checkout_url TEXT,
+  expires_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (provider, provider_session_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_checkouts_booking_id ON payment_checkouts(booking_id);
+
+-- Webhook events already processed, so provider retries are ignored
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  id SERIAL PRIMARY KEY,
+  provider VARCHAR(30) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  provider_session_id VARCHAR(255),
+  received_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (provider, event_id)
+);
+
+-- Cancellations of bookings paid online point at the checkout instead of a proof
+ALTER TABLE booking_cancellations
+  ADD COLUMN IF NOT EXISTS payment_checkout_id INTEGER REFERENCES payment_checkouts(id) ON DELETE SET NULL;
@@ -0,0 +1,46 @@
+-- IkLearnEdge Migration 020
+-- Refunds and student credit balances
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id SERIAL PRIMARY KEY,
+  booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  cancellation_id INTEGER REFERENCES booking_cancellations(id) ON DELETE SET NULL,
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  refund_type VARCHAR(10) NOT NULL CHECK (refund_type IN ('full', 'partial')),
+  -- Paid back the way the student paid, or as credit on their account
+  method VARCHAR(20) NOT NULL CHECK (method IN ('original_payment', 'credit')),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected')),
+  reason TEXT,
+  review_notes TEXT,
+  -- Bank transfer or provider refund reference for money paid back
+  external_reference VARCHAR(255),
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  -- NULL with status approved means it was issued automatically by policy
+  approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_booking_id ON refunds(booking_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_student_id ON refunds(student_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status);
+
+-- Credit ledger: positive rows add to a student's balance, negative rows spend it
+CREATE TABLE IF NOT EXISTS credit_transactions (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  amount DECIMAL(10,2) NOT NULL CHECK (amount <> 0),
+  type VARCHAR(20) NOT NULL CHECK (type IN ('refund', 'booking', 'booking_release', 'adjustment')),
+  refund_id INTEGER REFERENCES refunds(id) ON DELETE SET NULL,
+  booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+  note TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_student_id ON credit_transactions(student_id, created_at);
+
+-- Part of a booking's price covered by credit
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS credit_applied DECIMAL(10,2) NOT NULL DEFAULT 0;
@@ -0,0 +1,69 @@
+-- IkLearnEdge Migration 021
+-- Teacher earnings ledger and payout runs
+
+-- Per-teacher commission override; NULL uses PLATFORM_COMMISSION_PERCENT
+ALTER TABLE teachers ADD COLUMN IF NOT EXISTS commission_percent DECIMAL(5,2)
+  CHECK (commission_percent BETWEEN 0 AND 100);
+
+-- A payout run batches every unpaid earning up to a cut-off
+CREATE TABLE IF NOT EXISTS payout_runs (
+  id SERIAL PRIMARY KEY,
+  period_end TIMESTAMPTZ NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'paid', 'cancelled')),
+  total_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  notes TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+-- What one teacher is paid in a run
+CREATE TABLE IF NOT EXISTS teacher_payouts (
+  id SERIAL PRIMARY KEY,
+  payout_run_id INTEGER NOT NULL REFERENCES payout_runs(id) ON DELETE CASCADE,
+  teacher_id INTEGER NOT NULL REFERENCES teachers(id) ON DELETE CASCADE,
+  amount DECIMAL(12,2) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'cancelled')),
+  reference VARCHAR(255),
+  paid_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  paid_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (payout_run_id, teacher_id)
+);
+
+-- One row per completed booking; commission and teacher share always add
+-- up to the gross amount
+CREATE TABLE IF NOT EXISTS teacher_earnings (
+  id SERIAL PRIMARY KEY,
+  booking_id INTEGER NOT NULL UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+  teacher_id INTEGER NOT NULL REFERENCES teachers(id) ON DELETE CASCADE,
+  gross_amount DECIMAL(10,2) NOT NULL,
+  commission_percent DECIMAL(5,2) NOT NULL,
+  commission_amount DECIMAL(10,2) NOT NULL,
+  teacher_amount DECIMAL(10,2) NOT NULL,
+  teacher_payout_id INTEGER REFERENCES teacher_payouts(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (commission_amount + teacher_amount = gross_amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_teacher_earnings_teacher_id ON teacher_earnings(teacher_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_teacher_earnings_unpaid ON teacher_earnings(teacher_id) WHERE teacher_payout_id IS NULL;
+
+-- Double-entry journal. Every earning and payout writes lines whose debits
+-- and credits balance:
+--   earning: debit student_receipts (gross), credit platform_commission and teacher_payable
+--   payout:  debit teacher_payable, credit teacher_payouts
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id SERIAL PRIMARY KEY,
+  account VARCHAR(30) NOT NULL
+    CHECK (account IN ('student_receipts', 'platform_commission', 'teacher_payable', 'teacher_payouts')),
+  teacher_id INTEGER REFERENCES teachers(id) ON DELETE SET NULL,
+  earning_id INTEGER REFERENCES teacher_earnings(id) ON DELETE CASCADE,
+  teacher_payout_id INTEGER REFERENCES teacher_payouts(id) ON DELETE CASCADE,
+  debit DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (debit >= 0),
+  credit DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (credit >= 0),
+  memo TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_teacher_account ON ledger_entries(teacher_id, account);
@@ -0,0 +1,36 @@
+-- IkLearnEdge Migration 022
+-- Sequentially numbered invoices for confirmed bookings
+
+-- Single-row counter: numbers are taken inside the confirming transaction,
+-- so a rollback never leaves a gap (unlike a sequence)
+CREATE TABLE IF NOT EXISTS invoice_counter (
+  id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  last_number INTEGER NOT NULL DEFAULT 0
+);
+
+INSERT INTO invoice_counter (id, last_number) VALUES (true, 0) ON CONFLICT (id) DO NOTHING;
+
+-- Invoice details are copied from the booking when it is issued so later
+-- edits to users, subjects or prices never change an issued invoice
+CREATE TABLE IF NOT EXISTS invoices (
+  id SERIAL PRIMARY KEY,
+  invoice_number VARCHAR(30) NOT NULL UNIQUE,
+  -- Kept for the accounts when the booking is deleted
+  booking_id INTEGER UNIQUE REFERENCES bookings(id) ON DELETE SET NULL,
+  student_id INTEGER REFERENCES students(id) ON DELETE SET NULL,
+  student_name VARCHAR(255) NOT NULL,
+  student_email VARCHAR(255) NOT NULL,
+  student_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  teacher_name VARCHAR(255) NOT NULL,
+  subject_name VARCHAR(255) NOT NULL,
+  grade_level VARCHAR(100),
+  scheduled_date TIMESTAMPTZ NOT NULL,
+  duration INTEGER NOT NULL,
+  price_per_hour DECIMAL(10,2) NOT NULL,
+  total_amount DECIMAL(10,2) NOT NULL,
+  credit_applied DECIMAL(10,2) NOT NULL DEFAULT 0,
+  currency VARCHAR(3) NOT NULL,
+  issued_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_student_id ON invoices(student_id);
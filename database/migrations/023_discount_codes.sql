@@ -0,0 +1,49 @@
+-- IkLearnEdge Migration 023
+-- Discount codes applied when a booking is created
+
+CREATE TABLE IF NOT EXISTS discount_codes (
+  id SERIAL PRIMARY KEY,
+  -- Stored upper-case; students may type it in any case
+  code VARCHAR(50) NOT NULL UNIQUE,
+  description TEXT,
+  discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+  starts_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  -- NULL means unlimited
+  max_redemptions INTEGER CHECK (max_redemptions > 0),
+  first_booking_only BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (discount_type <> 'percentage' OR discount_value <= 100),
+  CHECK (expires_at IS NULL OR starts_at IS NULL OR expires_at > starts_at)
+);
+
+-- Subjects a code is limited to; a code without rows here applies to all
+CREATE TABLE IF NOT EXISTS discount_code_subjects (
+  discount_code_id INTEGER NOT NULL REFERENCES discount_codes(id) ON DELETE CASCADE,
+  subject_id INTEGER NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+  PRIMARY KEY (discount_code_id, subject_id)
+);
+
+-- One row per booking request that used a code (a recurring series counts once)
+CREATE TABLE IF NOT EXISTS discount_redemptions (
+  id SERIAL PRIMARY KEY,
+  discount_code_id INTEGER NOT NULL REFERENCES discount_codes(id),
+  student_id INTEGER REFERENCES students(id) ON DELETE SET NULL,
+  booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+  series_id INTEGER REFERENCES booking_series(id) ON DELETE SET NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_discount_redemptions_code ON discount_redemptions(discount_code_id);
+
+-- total_amount is what the student pays, after the discount
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS discount_code_id INTEGER REFERENCES discount_codes(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS discount_code VARCHAR(50);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
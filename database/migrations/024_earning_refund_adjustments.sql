@@ -0,0 +1,10 @@
+-- IkLearnEdge Migration 024
+-- Refunds approved after a booking was completed reverse part of its earning
+
+-- A refund adds a negative earnings row for the booking (gross, commission
+-- and teacher share all negative), netted in the next payout run
+ALTER TABLE teacher_earnings ADD COLUMN IF NOT EXISTS refund_id INTEGER UNIQUE REFERENCES refunds(id) ON DELETE CASCADE;
+
+-- Still one original earning per booking
+ALTER TABLE teacher_earnings DROP CONSTRAINT IF EXISTS teacher_earnings_booking_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_teacher_earnings_booking_id ON teacher_earnings(booking_id) WHERE refund_id IS NULL;
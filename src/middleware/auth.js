@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../models/database');
+const { touchSession } = require('../services/authSessions');
+const { isTwoFactorRequired } = require('../services/twoFactor');
+const { getRolePermissions, hasPermission } = require('../services/permissions');
 
 // Verify JWT token
 const authenticate = async (req, res, next) => {
@@ -18,11 +21,14 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Get user from database
-    const result = await query(
-      'SELECT id, email, name, role, profile_picture FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    // Get user and session from database
+    const result = await query(`
+      SELECT u.id, u.email, u.name, u.role, u.profile_picture, u.timezone, u.email_verified,
+             u.two_factor_enabled, u.two_factor_required, u.password_changed_at, s.id as session_id, s.revoked_at as session_revoked_at
+      FROM users u
+      LEFT JOIN auth_sessions s ON s.id = $2 AND s.user_id = u.id
+      WHERE u.id = $1
+    `, [decoded.userId, decoded.sid || null]);
     
     if (result.rows.length === 0) {
       return res.status(401).json({
@@ -31,7 +37,45 @@ const authenticate = async (req, res, next) => {
       });
     }
     
-    req.user = result.rows[0];
+    const {
+      password_changed_at: passwordChangedAt,
+      session_id: sessionId,
+      session_revoked_at: sessionRevokedAt,
+      ...user
+    } = result.rows[0];
+
+    // Tokens must belong to a session that has not been signed out
+    if (!sessionId || sessionRevokedAt) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired'
+      });
+    }
+
+    // Tokens issued before a password reset are no longer valid
+    if (passwordChangedAt && decoded.iat < Math.floor(new Date(passwordChangedAt).getTime() / 1000)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token expired'
+      });
+    }
+
+    user.permissions = await getRolePermissions(user.role);
+
+    // Accounts that must use 2FA can only reach the auth endpoints (to
+    // enroll) until they have turned it on
+    if (!user.two_factor_enabled && await isTwoFactorRequired(user) && !req.baseUrl.startsWith('/api/auth')) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication must be enabled for this account.'
+      });
+    }
+
+    touchSession(sessionId).catch((error) => console.error('Touch session error:', error));
+
+    req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -54,17 +98,34 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Check if user is admin
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+// Whether unverified accounts are blocked from booking and listing
+const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+
+// Check if user has verified their email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (isEmailVerificationRequired() && !req.user.email_verified) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Admin only.'
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address first.'
     });
   }
   next();
 };
 
+// Check that the user has every listed permission
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!permissions.every((permission) => hasPermission(req.user, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission.'
+      });
+    }
+    next();
+  };
+};
+
 // Check if user is teacher
 const requireTeacher = (req, res, next) => {
   if (req.user.role !== 'teacher') {
@@ -87,36 +148,23 @@ const requireStudent = (req, res, next) => {
   next();
 };
 
-// Check if user is teacher or admin
-const requireTeacherOrAdmin = (req, res, next) => {
-  if (req.user.role !== 'teacher' && req.user.role !== 'admin') {
+// Check if user is a parent/guardian
+const requireParent = (req, res, next) => {
+  if (req.user.role !== 'parent') {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Teacher or Admin only.'
+      message: 'Access denied. Parent only.'
     });
   }
   next();
 };
 
-// Check if user owns the resource or is admin
-const requireOwnerOrAdmin = (paramName = 'userId') => {
-  return (req, res, next) => {
-    const resourceUserId = req.params[paramName] || req.body.userId;
-    if (req.user.role !== 'admin' && req.user.id !== resourceUserId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Not authorized.'
-      });
-    }
-    next();
-  };
-};
-
 module.exports = {
   authenticate,
-  requireAdmin,
   requireTeacher,
   requireStudent,
-  requireTeacherOrAdmin,
-  requireOwnerOrAdmin
+  requireParent,
+  requirePermission,
+  requireVerifiedEmail,
+  isEmailVerificationRequired
 };
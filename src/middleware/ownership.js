@@ -0,0 +1,241 @@
+// Profile loaders and ownership guards. Use them after `authenticate`.
+// Loaders resolve the caller's student/teacher profile (or, for parents, the
+// students they are linked to) once per request; guards load a resource,
+// work out which side of it the caller is on and reject everyone else
+// unless they hold the given permission.
+
+const { query } = require('../models/database');
+const { hasPermission } = require('../services/permissions');
+
+// Resolve req.student and req.teacher (null when the user has none) and
+// req.linkedStudentIds (students a parent is actively linked to)
+const resolveProfiles = async (req) => {
+  if (req.student !== undefined) return;
+
+  req.student = null;
+  req.teacher = null;
+  req.linkedStudentIds = [];
+
+  if (req.user.role === 'student') {
+    const result = await query('SELECT * FROM students WHERE user_id = $1', [req.user.id]);
+    req.student = result.rows[0] || null;
+  } else if (req.user.role === 'teacher') {
+    const result = await query('SELECT * FROM teachers WHERE user_id = $1', [req.user.id]);
+    req.teacher = result.rows[0] || null;
+  } else if (req.user.role === 'parent') {
+    const result = await query(
+      "SELECT student_id FROM guardian_links WHERE parent_user_id = $1 AND status = 'active'",
+      [req.user.id]
+    );
+    req.linkedStudentIds = result.rows.map((row) => row.student_id);
+  }
+};
+
+// Which side of a booking (or anything carrying student_id/teacher_id) the
+// caller is on: 'student', 'teacher', 'guardian' or null. Needs resolved
+// profiles.
+const getParty = (req, resource) => {
+  if (req.teacher && req.teacher.id === resource.teacher_id) return 'teacher';
+  if (req.student && req.student.id === resource.student_id) return 'student';
+  if (req.linkedStudentIds && req.linkedStudentIds.includes(resource.student_id)) return 'guardian';
+  return null;
+};
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'Not authorized'
+});
+
+const notFound = (res, message) => res.status(404).json({
+  success: false,
+  message
+});
+
+// Wrap an async guard so errors become a 500 response
+const guard = (name, fn) => async (req, res, next) => {
+  try {
+    await fn(req, res, next);
+  } catch (error) {
+    console.error(`Ownership check error (${name}):`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Authorization error'
+    });
+  }
+};
+
+// Load the caller's profile if they have one
+const loadProfile = guard('profile', async (req, res, next) => {
+  await resolveProfiles(req);
+  next();
+});
+
+// Require a student profile as req.student
+const loadStudent = guard('student', async (req, res, next) => {
+  await resolveProfiles(req);
+  if (!req.student) {
+    return notFound(res, 'Student not found');
+  }
+  next();
+});
+
+// Require a teacher profile as req.teacher
+const loadTeacher = guard('teacher', async (req, res, next) => {
+  await resolveProfiles(req);
+  if (!req.teacher) {
+    return notFound(res, 'Teacher not found');
+  }
+  next();
+});
+
+// Read a resource id from the route params or the body
+const getId = (req, param, source) => (source === 'body' ? req.body[param] : req.params[param]);
+
+// Booking the caller is a party to, as req.booking with req.bookingParty.
+// `parties` limits which sides may pass; `permission` lets staff through
+// (pass null to allow parties only).
+const requireBookingAccess = ({
+  param = 'id',
+  source = 'params',
+  parties = ['student', 'teacher', 'guardian'],
+  permission = 'bookings:read_all'
+} = {}) => guard('booking', async (req, res, next) => {
+  const id = getId(req, param, source);
+  if (!id) {
+    return res.status(400).json({
+      success: false,
+      message: 'Booking ID is required'
+    });
+  }
+
+  await resolveProfiles(req);
+
+  const result = await query('SELECT * FROM bookings WHERE id = $1', [id]);
+  if (result.rows.length === 0) {
+    return res.status(404).json({
+      success: false,
+      code: 'BOOKING_NOT_FOUND',
+      message: 'Booking not found'
+    });
+  }
+
+  const booking = result.rows[0];
+  const party = getParty(req, booking);
+  const allowed = (party && parties.includes(party)) || (permission && hasPermission(req.user, permission));
+  if (!allowed) {
+    return forbidden(res);
+  }
+
+  req.booking = booking;
+  req.bookingParty = party;
+  next();
+});
+
+// Booking series the caller is a party to, as req.series
+const requireSeriesAccess = ({ param = 'id', permission = 'bookings:read_all' } = {}) => guard('series', async (req, res, next) => {
+  await resolveProfiles(req);
+
+  const result = await query('SELECT * FROM booking_series WHERE id = $1', [req.params[param]]);
+  if (result.rows.length === 0) {
+    return notFound(res, 'Booking series not found');
+  }
+
+  const series = result.rows[0];
+  if (!getParty(req, series) && !(permission && hasPermission(req.user, permission))) {
+    return forbidden(res);
+  }
+
+  req.series = series;
+  next();
+});
+
+// Payment proof whose booking the caller is a party to, as req.payment
+const requirePaymentAccess = ({ param = 'id', permission = 'payments:read_all' } = {}) => guard('payment', async (req, res, next) => {
+  await resolveProfiles(req);
+
+  const result = await query(`
+    SELECT pp.*, b.student_id, b.teacher_id
+    FROM payment_proofs pp
+    JOIN bookings b ON pp.booking_id = b.id
+    WHERE pp.id = $1
+  `, [req.params[param]]);
+  if (result.rows.length === 0) {
+    return notFound(res, 'Payment not found');
+  }
+
+  const payment = result.rows[0];
+  if (!getParty(req, payment) && !(permission && hasPermission(req.user, permission))) {
+    return forbidden(res);
+  }
+
+  req.payment = payment;
+  next();
+});
+
+// Documents of the teacher in the route: the teacher themselves or staff
+const requireDocumentsAccess = ({ param = 'id', permission = 'teachers:read_all' } = {}) => guard('documents', async (req, res, next) => {
+  await resolveProfiles(req);
+
+  const result = await query('SELECT id FROM teachers WHERE id = $1', [req.params[param]]);
+  if (result.rows.length === 0) {
+    return notFound(res, 'Teacher not found');
+  }
+
+  const isOwner = req.teacher && req.teacher.id === result.rows[0].id;
+  if (!isOwner && !hasPermission(req.user, permission)) {
+    return forbidden(res);
+  }
+  next();
+});
+
+// Who may delete an uploaded file, by the public id scheme used in
+// routes/upload.js
+const UPLOAD_OWNERS = [
+  {
+    pattern: /^iklearnedge\/profiles\/user_(\d+)_/,
+    owns: async (req, id) => req.user.id === id
+  },
+  {
+    pattern: /^iklearnedge\/documents\/\w+\/teacher_(\d+)_/,
+    owns: async (req, id) => Boolean(req.teacher) && req.teacher.id === id
+  },
+  {
+    pattern: /^iklearnedge\/payments\/payment_(\d+)_/,
+    owns: async (req, id) => {
+      const result = await query('SELECT student_id, teacher_id FROM bookings WHERE id = $1', [id]);
+      const party = result.rows[0] && getParty(req, result.rows[0]);
+      return party === 'student' || party === 'guardian';
+    }
+  }
+];
+
+// Uploaded file (Cloudinary public id) the caller uploaded, or staff
+const requireUploadAccess = ({ param = 'publicId', permission = 'uploads:manage' } = {}) => guard('upload', async (req, res, next) => {
+  if (hasPermission(req.user, permission)) {
+    return next();
+  }
+
+  await resolveProfiles(req);
+
+  const publicId = req.params[param];
+  for (const { pattern, owns } of UPLOAD_OWNERS) {
+    const match = pattern.exec(publicId);
+    if (match && (await owns(req, parseInt(match[1], 10)))) {
+      return next();
+    }
+  }
+  forbidden(res);
+});
+
+module.exports = {
+  resolveProfiles,
+  getParty,
+  loadProfile,
+  loadStudent,
+  loadTeacher,
+  requireBookingAccess,
+  requireSeriesAccess,
+  requirePaymentAccess,
+  requireDocumentsAccess,
+  requireUploadAccess
+};
@@ -1,13 +1,34 @@
 const express = require('express');
-const { query } = require('../models/database');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../models/database');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { revokeUserSessions } = require('../services/authSessions');
+const { unlockAccount } = require('../services/loginProtection');
+const {
+  PERMISSIONS,
+  isKnownPermission,
+  getRolePermissions,
+  clearPermissionCache,
+  canGrantPermissions
+} = require('../services/permissions');
+const {
+  PAID_BOOKING_SQL,
+  REFUNDED_SQL,
+  addCreditTransaction,
+  createRefund,
+  getCreditBalance,
+  getRefundedAmount,
+  reviewRefund
+} = require('../services/refunds');
+const { createPayoutRun, markTeacherPayoutPaid, cancelPayoutRun } = require('../services/earnings');
+const { COUNTED_REDEMPTION_SQL, normalizeCode } = require('../services/discounts');
 
 const router = express.Router();
 
 // @route   GET /api/admin/stats
 // @desc    Get admin dashboard statistics
 // @access  Private/Admin
-router.get('/stats', authenticate, requireAdmin, async (req, res) => {
+router.get('/stats', authenticate, requirePermission('reports:view'), async (req, res) => {
   try {
     // Total teachers
     const teachersCount = await query('SELECT COUNT(*) FROM teachers');
@@ -41,11 +62,19 @@ router.get('/stats', authenticate, requireAdmin, async (req, res) => {
       'SELECT COUNT(*) FROM subjects WHERE is_active = true'
     );
     
-    // Total revenue
+    // Total revenue: paid bookings (including ones cancelled after payment) net of refunds
     const revenue = await query(
-      "SELECT COALESCE(SUM(total_amount), 0) FROM bookings WHERE status IN ('confirmed', 'completed')"
+      `SELECT COALESCE(SUM(b.total_amount - ${REFUNDED_SQL}), 0) FROM bookings b WHERE ${PAID_BOOKING_SQL}`
     );
 
+    // Refunds
+    const refunds = await query(`
+      SELECT
+        COALESCE(SUM(amount) FILTER (WHERE status = 'approved'), 0) as refunded,
+        COUNT(*) FILTER (WHERE status = 'pending') as pending
+      FROM refunds
+    `);
+
     res.json({
       success: true,
       data: {
@@ -57,7 +86,9 @@ router.get('/stats', authenticate, requireAdmin, async (req, res) => {
         completedClasses: parseInt(completedClasses.rows[0].count),
         totalSubjects: parseInt(subjectsCount.rows[0].count),
         activeSubjects: parseInt(activeSubjects.rows[0].count),
-        totalRevenue: parseFloat(revenue.rows[0].coalesce)
+        totalRevenue: parseFloat(revenue.rows[0].coalesce),
+        totalRefunded: parseFloat(refunds.rows[0].refunded),
+        pendingRefunds: parseInt(refunds.rows[0].pending)
       }
     });
   } catch (error) {
@@ -72,7 +103,7 @@ router.get('/stats', authenticate, requireAdmin, async (req, res) => {
 // @route   GET /api/admin/verifications/pending
 // @desc    Get pending teacher verifications
 // @access  Private/Admin
-router.get('/verifications/pending', authenticate, requireAdmin, async (req, res) => {
+router.get('/verifications/pending', authenticate, requirePermission('teachers:verify'), async (req, res) => {
   try {
     // ✅ FIXED: Return fields that match frontend expectations
     const result = await query(`
@@ -122,7 +153,7 @@ router.get('/verifications/pending', authenticate, requireAdmin, async (req, res
 // @route   GET /api/admin/recent-activity
 // @desc    Get recent activity
 // @access  Private/Admin
-router.get('/recent-activity', authenticate, requireAdmin, async (req, res) => {
+router.get('/recent-activity', authenticate, requirePermission('reports:view'), async (req, res) => {
   try {
     // Recent teacher applications
     const recentTeachers = await query(`
@@ -188,11 +219,12 @@ router.get('/recent-activity', authenticate, requireAdmin, async (req, res) => {
 // @route   GET /api/admin/users
 // @desc    Get all users
 // @access  Private/Admin
-router.get('/users', authenticate, requireAdmin, async (req, res) => {
+router.get('/users', authenticate, requirePermission('users:read'), async (req, res) => {
   try {
     const result = await query(`
       SELECT 
-        id, email, name, role, profile_picture, created_at, updated_at
+        id, email, name, role, profile_picture, created_at, updated_at,
+        failed_login_count, locked_until
       FROM users
       ORDER BY created_at DESC
     `);
@@ -214,10 +246,10 @@ router.get('/users', authenticate, requireAdmin, async (req, res) => {
 // @route   PUT /api/admin/users/:id
 // @desc    Update user
 // @access  Private/Admin
-router.put('/users/:id', authenticate, requireAdmin, async (req, res) => {
+router.put('/users/:id', authenticate, requirePermission('users:update'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, role, isActive } = req.body;
+    const { name, role, isActive, twoFactorRequired } = req.body;
 
     const updates = [];
     const values = [];
@@ -230,11 +262,37 @@ router.put('/users/:id', authenticate, requireAdmin, async (req, res) => {
     }
 
     if (role !== undefined) {
+      const roleResult = await query('SELECT name FROM roles WHERE name = $1', [role]);
+      if (roleResult.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unknown role'
+        });
+      }
+
+      // Neither the new role nor the one being replaced may reach beyond
+      // the caller's own permissions
+      const userResult = await query('SELECT role FROM users WHERE id = $1', [id]);
+      const currentPermissions = userResult.rows.length > 0 ? await getRolePermissions(userResult.rows[0].role) : [];
+      const newPermissions = await getRolePermissions(role);
+      if (!canGrantPermissions(req.user, [...currentPermissions, ...newPermissions])) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot assign or replace a role with permissions you do not hold'
+        });
+      }
+
       updates.push(`role = $${paramCount}`);
       values.push(role);
       paramCount++;
     }
 
+    if (twoFactorRequired !== undefined) {
+      updates.push(`two_factor_required = $${paramCount}`);
+      values.push(Boolean(twoFactorRequired));
+      paramCount++;
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({
         success: false,
@@ -247,7 +305,7 @@ router.put('/users/:id', authenticate, requireAdmin, async (req, res) => {
     const result = await query(
       `UPDATE users SET ${updates.join(', ')}, updated_at = NOW()
        WHERE id = $${paramCount}
-       RETURNING id, email, name, role, profile_picture`,
+       RETURNING id, email, name, role, profile_picture, two_factor_enabled, two_factor_required`,
       values
     );
 
@@ -258,6 +316,11 @@ router.put('/users/:id', authenticate, requireAdmin, async (req, res) => {
       });
     }
 
+    // Sign the user out everywhere so clients pick up the new role
+    if (role !== undefined) {
+      await revokeUserSessions({ query }, id, { reason: 'role_changed' });
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -272,15 +335,343 @@ router.put('/users/:id', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Lift a login lockout
+// @access  Private/Admin
+router.post('/users/:id/unlock', authenticate, requirePermission('users:unlock'), async (req, res) => {
+  try {
+    const unlocked = await unlockAccount(req.params.id);
+
+    if (!unlocked) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+});
+
+// @route   GET /api/admin/login-attempts
+// @desc    Audit of login attempts (failed only unless ?success is given)
+// @access  Private/Admin
+router.get('/login-attempts', authenticate, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { email, ip, userId, success } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    let sql = `
+      SELECT la.id, la.email, la.user_id, u.name as user_name, la.ip_address,
+             la.user_agent, la.success, la.reason, la.created_at
+      FROM login_attempts la
+      LEFT JOIN users u ON la.user_id = u.id
+      WHERE la.success = $1
+    `;
+    const params = [success === 'true'];
+    let paramCount = 2;
+
+    if (email) {
+      sql += ` AND la.email = $${paramCount}`;
+      params.push(String(email).toLowerCase());
+      paramCount++;
+    }
+
+    if (ip) {
+      sql += ` AND la.ip_address = $${paramCount}`;
+      params.push(ip);
+      paramCount++;
+    }
+
+    if (userId) {
+      sql += ` AND la.user_id = $${paramCount}`;
+      params.push(userId);
+      paramCount++;
+    }
+
+    sql += ` ORDER BY la.created_at DESC, la.id DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+    params.push(limit, offset);
+
+    const result = await query(sql, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get login attempts'
+    });
+  }
+});
+
+// @route   GET /api/admin/permissions
+// @desc    List every permission a role can be given
+// @access  Private/Admin
+router.get('/permissions', authenticate, requirePermission('roles:manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// @route   GET /api/admin/roles
+// @desc    List roles with their permissions
+// @access  Private/Admin
+router.get('/roles', authenticate, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        r.name, r.description, r.is_system, r.created_at,
+        COALESCE(ARRAY_AGG(rp.permission ORDER BY rp.permission)
+          FILTER (WHERE rp.permission IS NOT NULL), '{}') as permissions,
+        (SELECT COUNT(*) FROM users u WHERE u.role = r.name)::int as user_count
+      FROM roles r
+      LEFT JOIN role_permissions rp ON rp.role = r.name
+      GROUP BY r.name
+      ORDER BY r.is_system DESC, r.name
+    `);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get roles'
+    });
+  }
+});
+
+const roleValidators = [
+  body('description').optional().isString(),
+  body('permissions').isArray(),
+  body('permissions.*').custom(isKnownPermission).withMessage('Unknown permission')
+];
+
+// @route   POST /api/admin/roles
+// @desc    Create a staff role
+// @access  Private/Admin
+router.post('/roles', authenticate, requirePermission('roles:manage'), [
+  body('name').matches(/^[a-z][a-z0-9_]{1,49}$/).withMessage('Role name must be lowercase letters, digits and underscores'),
+  ...roleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    if (!canGrantPermissions(req.user, permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant permissions you do not hold'
+      });
+    }
+
+    const existing = await query('SELECT name FROM roles WHERE name = $1', [name]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Role already exists'
+      });
+    }
+
+    await transaction(async (client) => {
+      await client.query(
+        'INSERT INTO roles (name, description) VALUES ($1, $2)',
+        [name, description || null]
+      );
+      for (const permission of new Set(permissions)) {
+        await client.query(
+          'INSERT INTO role_permissions (role, permission) VALUES ($1, $2)',
+          [name, permission]
+        );
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { name, description: description || null, permissions: [...new Set(permissions)] }
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create role'
+    });
+  }
+});
+
+// @route   PUT /api/admin/roles/:name
+// @desc    Replace a role's description and permissions
+// @access  Private/Admin
+router.put('/roles/:name', authenticate, requirePermission('roles:manage'), roleValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.params;
+    const { description, permissions } = req.body;
+
+    const roleResult = await query('SELECT is_system FROM roles WHERE name = $1', [name]);
+    if (roleResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Built-in roles (admin, teacher, student, parent) are fixed
+    if (roleResult.rows[0].is_system) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be changed'
+      });
+    }
+
+    const currentPermissions = await getRolePermissions(name);
+    if (!canGrantPermissions(req.user, [...currentPermissions, ...permissions])) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot edit a role with permissions you do not hold'
+      });
+    }
+
+    const updated = await transaction(async (client) => {
+      const roleResult = await client.query(
+        'UPDATE roles SET description = COALESCE($2, description) WHERE name = $1 RETURNING name, description',
+        [name, description]
+      );
+      if (roleResult.rows.length === 0) {
+        return null;
+      }
+
+      await client.query('DELETE FROM role_permissions WHERE role = $1', [name]);
+      for (const permission of new Set(permissions)) {
+        await client.query(
+          'INSERT INTO role_permissions (role, permission) VALUES ($1, $2)',
+          [name, permission]
+        );
+      }
+      return { ...roleResult.rows[0], permissions: [...new Set(permissions)] };
+    });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/roles/:name
+// @desc    Delete an unused staff role
+// @access  Private/Admin
+router.delete('/roles/:name', authenticate, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const roleResult = await query(`
+      SELECT r.is_system, (SELECT COUNT(*) FROM users u WHERE u.role = r.name)::int as user_count
+      FROM roles r WHERE r.name = $1
+    `, [name]);
+
+    if (roleResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const role = roleResult.rows[0];
+    if (role.is_system) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+    if (role.user_count > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Role is still assigned to users'
+      });
+    }
+
+    await query('DELETE FROM roles WHERE name = $1', [name]);
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role'
+    });
+  }
+});
+
 // @route   DELETE /api/admin/users/:id
 // @desc    Delete user
 // @access  Private/Admin
-router.delete('/users/:id', authenticate, requireAdmin, async (req, res) => {
+router.delete('/users/:id', authenticate, requirePermission('users:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
+    if (parseInt(id, 10) === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
     // Check if user exists
-    const userResult = await query('SELECT id FROM users WHERE id = $1', [id]);
+    const userResult = await query('SELECT id, role FROM users WHERE id = $1', [id]);
     
     if (userResult.rows.length === 0) {
       return res.status(404).json({
@@ -289,8 +680,38 @@ router.delete('/users/:id', authenticate, requireAdmin, async (req, res) => {
       });
     }
 
-    // Delete user (cascade will handle related records)
-    await query('DELETE FROM users WHERE id = $1', [id]);
+    // Same rule as changing a role: only users within the caller's own permissions
+    const targetPermissions = await getRolePermissions(userResult.rows[0].role);
+    if (!canGrantPermissions(req.user, targetPermissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot delete a user with permissions you do not hold'
+      });
+    }
+
+    const deleted = await transaction(async (client) => {
+      // Lock every full-access account so two admins cannot remove each other
+      const admins = await client.query(`
+        SELECT id FROM users
+        WHERE role IN (SELECT role FROM role_permissions WHERE permission = '*')
+        FOR UPDATE
+      `);
+      const isAdmin = admins.rows.some((row) => row.id === userResult.rows[0].id);
+      if (isAdmin && admins.rows.length <= 1) {
+        return false;
+      }
+
+      // Delete user (cascade will handle related records)
+      await client.query('DELETE FROM users WHERE id = $1', [id]);
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'The last admin cannot be deleted'
+      });
+    }
 
     res.json({
       success: true,
@@ -308,7 +729,7 @@ router.delete('/users/:id', authenticate, requireAdmin, async (req, res) => {
 // @route   GET /api/admin/revenue
 // @desc    Get revenue report
 // @access  Private/Admin
-router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
+router.get('/revenue', authenticate, requirePermission('reports:view'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
@@ -320,15 +741,17 @@ router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
       params.push(startDate, endDate);
     }
 
-    // Revenue by subject
+    // Revenue by subject (paid bookings net of refunds)
     const revenueBySubject = await query(`
       SELECT 
         s.name as subject,
         COUNT(b.id) as booking_count,
-        SUM(b.total_amount) as total_revenue
+        SUM(b.total_amount) as gross_revenue,
+        SUM(${REFUNDED_SQL}) as refunded,
+        SUM(b.total_amount - ${REFUNDED_SQL}) as total_revenue
       FROM bookings b
       JOIN subjects s ON b.subject_id = s.id
-      WHERE b.status IN ('confirmed', 'completed')
+      WHERE ${PAID_BOOKING_SQL}
       ${dateFilter}
       GROUP BY s.id, s.name
       ORDER BY total_revenue DESC
@@ -339,9 +762,11 @@ router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
       SELECT 
         DATE_TRUNC('month', b.created_at) as month,
         COUNT(b.id) as booking_count,
-        SUM(b.total_amount) as total_revenue
+        SUM(b.total_amount) as gross_revenue,
+        SUM(${REFUNDED_SQL}) as refunded,
+        SUM(b.total_amount - ${REFUNDED_SQL}) as total_revenue
       FROM bookings b
-      WHERE b.status IN ('confirmed', 'completed')
+      WHERE ${PAID_BOOKING_SQL}
       ${dateFilter}
       GROUP BY DATE_TRUNC('month', b.created_at)
       ORDER BY month DESC
@@ -363,4 +788,757 @@ router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/refunds
+// @desc    List refunds (filter by status, bookingId or studentId)
+// @access  Private/Admin
+router.get('/refunds', authenticate, requirePermission('payments:read_all'), async (req, res) => {
+  try {
+    const { status, bookingId, studentId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    let sql = `
+      SELECT
+        r.*, b.total_amount, b.status as booking_status, s.name as subject_name,
+        su.name as student_name, ru.name as requested_by_name, au.name as approved_by_name
+      FROM refunds r
+      JOIN bookings b ON r.booking_id = b.id
+      JOIN subjects s ON b.subject_id = s.id
+      JOIN students st ON r.student_id = st.id
+      JOIN users su ON st.user_id = su.id
+      LEFT JOIN users ru ON r.requested_by = ru.id
+      LEFT JOIN users au ON r.approved_by = au.id
+      WHERE 1 = 1
+    `;
+    const params = [];
+    let paramCount = 1;
+
+    if (status) {
+      sql += ` AND r.status = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    if (bookingId) {
+      sql += ` AND r.booking_id = $${paramCount}`;
+      params.push(bookingId);
+      paramCount++;
+    }
+
+    if (studentId) {
+      sql += ` AND r.student_id = $${paramCount}`;
+      params.push(studentId);
+      paramCount++;
+    }
+
+    sql += ` ORDER BY r.created_at DESC, r.id DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+    params.push(limit, offset);
+
+    const result = await query(sql, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get refunds'
+    });
+  }
+});
+
+// @route   POST /api/admin/refunds
+// @desc    Issue a refund for a booking (approved immediately)
+// @access  Private/Admin
+router.post('/refunds', authenticate, requirePermission('payments:refund'), [
+  body('bookingId').isInt(),
+  body('amount').isFloat({ gt: 0 }),
+  body('method').isIn(['original_payment', 'credit']),
+  body('reason').trim().isLength({ min: 1, max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { bookingId, method, reason } = req.body;
+    const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
+
+    const result = await transaction(async (client) => {
+      const bookingResult = await client.query(
+        `SELECT b.*, ${PAID_BOOKING_SQL} AS paid FROM bookings b WHERE b.id = $1 FOR UPDATE`,
+        [bookingId]
+      );
+      const booking = bookingResult.rows[0];
+      if (!booking) {
+        return { status: 404, message: 'Booking not found' };
+      }
+      if (!booking.paid) {
+        return { status: 409, message: 'Only bookings that were paid can be refunded' };
+      }
+
+      const refunded = await getRefundedAmount(client, booking.id);
+      const refundable = Math.round((parseFloat(booking.total_amount) - refunded) * 100) / 100;
+      if (amount > refundable) {
+        return { status: 400, message: `At most ${refundable.toFixed(2)} can still be refunded for this booking` };
+      }
+
+      // Credit spent on the booking can only go back as credit
+      if (method === 'original_payment') {
+        const cashResult = await client.query(
+          "SELECT COALESCE(SUM(amount), 0) AS total FROM refunds WHERE booking_id = $1 AND method = 'original_payment' AND status <> 'rejected'",
+          [booking.id]
+        );
+        const cashRefundable = Math.round(
+          (parseFloat(booking.total_amount) - parseFloat(booking.credit_applied) - parseFloat(cashResult.rows[0].total)) * 100
+        ) / 100;
+        if (amount > cashRefundable) {
+          return { status: 400, message: `At most ${Math.max(cashRefundable, 0).toFixed(2)} can be refunded to the original payment` };
+        }
+      }
+
+      const refund = await createRefund(client, booking, {
+        amount,
+        method,
+        reason,
+        status: 'approved',
+        requestedBy: req.user.id,
+        approvedBy: req.user.id
+      });
+      return { refund };
+    });
+
+    if (!result.refund) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund issued',
+      data: result.refund
+    });
+  } catch (error) {
+    console.error('Create refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue refund'
+    });
+  }
+});
+
+// @route   PUT /api/admin/refunds/:id
+// @desc    Approve or reject a pending refund
+// @access  Private/Admin
+router.put('/refunds/:id', authenticate, requirePermission('payments:refund'), [
+  body('action').isIn(['approve', 'reject']),
+  body('method').optional().isIn(['original_payment', 'credit']),
+  body('notes').optional().trim().isLength({ max: 500 }),
+  body('externalReference').optional().trim().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { action, method, notes, externalReference } = req.body;
+
+    const refund = await transaction((client) => reviewRefund(client, req.params.id, {
+      approve: action === 'approve',
+      method,
+      notes,
+      externalReference,
+      reviewerId: req.user.id
+    }));
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending refund not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Refund ${refund.status}`,
+      data: refund
+    });
+  } catch (error) {
+    console.error('Review refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review refund'
+    });
+  }
+});
+
+// @route   POST /api/admin/students/:id/credits
+// @desc    Adjust a student's credit balance (negative amounts remove credit)
+// @access  Private/Admin
+router.post('/students/:id/credits', authenticate, requirePermission('payments:refund'), [
+  body('amount').isFloat().custom((value) => parseFloat(value) !== 0).withMessage('Amount must not be zero'),
+  body('note').trim().isLength({ min: 1, max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
+
+    const result = await transaction(async (client) => {
+      const studentResult = await client.query('SELECT id FROM students WHERE id = $1 FOR UPDATE', [req.params.id]);
+      if (studentResult.rows.length === 0) {
+        return { status: 404, message: 'Student not found' };
+      }
+
+      const balance = await getCreditBalance(client, req.params.id);
+      if (balance + amount < 0) {
+        return { status: 400, message: `The student only has ${balance.toFixed(2)} credit` };
+      }
+
+      const creditTransaction = await addCreditTransaction(client, {
+        studentId: req.params.id,
+        amount,
+        type: 'adjustment',
+        note: req.body.note,
+        createdBy: req.user.id
+      });
+      return { creditTransaction, balance: Math.round((balance + amount) * 100) / 100 };
+    });
+
+    if (!result.creditTransaction) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Credit adjusted',
+      data: result
+    });
+  } catch (error) {
+    console.error('Adjust credit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust credit'
+    });
+  }
+});
+
+// @route   GET /api/admin/payouts
+// @desc    List payout runs
+// @access  Private/Admin
+router.get('/payouts', authenticate, requirePermission('payouts:manage'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        pr.*, u.name as created_by_name,
+        COUNT(tp.id) as teacher_count,
+        COUNT(tp.id) FILTER (WHERE tp.status = 'paid') as paid_count
+      FROM payout_runs pr
+      LEFT JOIN users u ON pr.created_by = u.id
+      LEFT JOIN teacher_payouts tp ON tp.payout_run_id = pr.id
+      GROUP BY pr.id, u.name
+      ORDER BY pr.created_at DESC
+    `);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get payout runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payout runs'
+    });
+  }
+});
+
+// @route   POST /api/admin/payouts
+// @desc    Start a payout run batching unpaid earnings up to periodEnd (default now)
+// @access  Private/Admin
+router.post('/payouts', authenticate, requirePermission('payouts:manage'), [
+  body('periodEnd').optional().isISO8601(),
+  body('notes').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const periodEnd = req.body.periodEnd ? new Date(req.body.periodEnd) : new Date();
+
+    const result = await transaction((client) => createPayoutRun(client, {
+      periodEnd,
+      notes: req.body.notes || null,
+      createdBy: req.user.id
+    }));
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout run created',
+      data: result.run
+    });
+  } catch (error) {
+    console.error('Create payout run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create payout run'
+    });
+  }
+});
+
+// @route   GET /api/admin/payouts/:id
+// @desc    Get a payout run with the amount owed to each teacher
+// @access  Private/Admin
+router.get('/payouts/:id', authenticate, requirePermission('payouts:manage'), async (req, res) => {
+  try {
+    const runResult = await query('SELECT * FROM payout_runs WHERE id = $1', [req.params.id]);
+
+    if (runResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout run not found'
+      });
+    }
+
+    const payouts = await query(`
+      SELECT
+        tp.*, u.name as teacher_name, u.email as teacher_email,
+        COUNT(e.id) as earnings_count
+      FROM teacher_payouts tp
+      JOIN teachers t ON tp.teacher_id = t.id
+      JOIN users u ON t.user_id = u.id
+      LEFT JOIN teacher_earnings e ON e.teacher_payout_id = tp.id
+      WHERE tp.payout_run_id = $1
+      GROUP BY tp.id, u.name, u.email
+      ORDER BY u.name
+    `, [req.params.id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...runResult.rows[0],
+        payouts: payouts.rows
+      }
+    });
+  } catch (error) {
+    console.error('Get payout run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payout run'
+    });
+  }
+});
+
+// @route   PUT /api/admin/payouts/:id/payouts/:payoutId
+// @desc    Mark a teacher's payout in a run as paid
+// @access  Private/Admin
+router.put('/payouts/:id/payouts/:payoutId', authenticate, requirePermission('payouts:manage'), [
+  body('reference').trim().isLength({ min: 1, max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const payout = await transaction((client) => markTeacherPayoutPaid(client, req.params.id, req.params.payoutId, {
+      reference: req.body.reference,
+      paidBy: req.user.id
+    }));
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending payout not found in this run'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payout marked as paid',
+      data: payout
+    });
+  } catch (error) {
+    console.error('Mark payout paid error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark payout as paid'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/payouts/:id
+// @desc    Cancel an open payout run (nothing in it may be paid yet)
+// @access  Private/Admin
+router.delete('/payouts/:id', authenticate, requirePermission('payouts:manage'), async (req, res) => {
+  try {
+    const result = await transaction((client) => cancelPayoutRun(client, req.params.id));
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payout run cancelled',
+      data: result.run
+    });
+  } catch (error) {
+    console.error('Cancel payout run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel payout run'
+    });
+  }
+});
+
+// Discount codes with their subject restrictions and how often they were used
+const DISCOUNT_CODE_SQL = `
+  SELECT
+    dc.*,
+    COALESCE((
+      SELECT array_agg(dcs.subject_id ORDER BY dcs.subject_id)
+      FROM discount_code_subjects dcs WHERE dcs.discount_code_id = dc.id
+    ), '{}') as subject_ids,
+    (
+      SELECT COUNT(*) FROM discount_redemptions r
+      WHERE r.discount_code_id = dc.id AND ${COUNTED_REDEMPTION_SQL}
+    )::int as redemption_count,
+    (
+      SELECT COALESCE(SUM(r.amount), 0) FROM discount_redemptions r
+      WHERE r.discount_code_id = dc.id AND ${COUNTED_REDEMPTION_SQL}
+    ) as discount_total
+  FROM discount_codes dc
+`;
+
+const discountCodeValidators = [
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  body('discountType').optional().isIn(['percentage', 'fixed']),
+  body('discountValue').optional().isFloat({ gt: 0 }),
+  body('startsAt').optional({ nullable: true }).isISO8601(),
+  body('expiresAt').optional({ nullable: true }).isISO8601(),
+  body('maxRedemptions').optional({ nullable: true }).isInt({ min: 1 }),
+  body('firstBookingOnly').optional().isBoolean().toBoolean(),
+  body('isActive').optional().isBoolean().toBoolean(),
+  body('subjectIds').optional().isArray(),
+  body('subjectIds.*').isInt().toInt()
+];
+
+// Rules that span fields. Returns an error message or null.
+const checkDiscountCode = async ({ discount_type, discount_value, starts_at, expires_at }, subjectIds) => {
+  if (discount_type === 'percentage' && parseFloat(discount_value) > 100) {
+    return 'A percentage discount cannot exceed 100';
+  }
+  if (starts_at && expires_at && new Date(expires_at) <= new Date(starts_at)) {
+    return 'expiresAt must be after startsAt';
+  }
+  if (subjectIds && subjectIds.length > 0) {
+    const subjects = await query('SELECT id FROM subjects WHERE id = ANY($1::int[])', [subjectIds]);
+    if (subjects.rows.length !== new Set(subjectIds).size) {
+      return 'Unknown subject in subjectIds';
+    }
+  }
+  return null;
+};
+
+const saveDiscountSubjects = async (client, discountCodeId, subjectIds) => {
+  await client.query('DELETE FROM discount_code_subjects WHERE discount_code_id = $1', [discountCodeId]);
+  for (const subjectId of new Set(subjectIds)) {
+    await client.query(
+      'INSERT INTO discount_code_subjects (discount_code_id, subject_id) VALUES ($1, $2)',
+      [discountCodeId, subjectId]
+    );
+  }
+};
+
+// @route   GET /api/admin/discount-codes
+// @desc    List discount codes with redemption counts
+// @access  Private/Admin
+router.get('/discount-codes', authenticate, requirePermission('discounts:manage'), async (req, res) => {
+  try {
+    const result = await query(`${DISCOUNT_CODE_SQL} ORDER BY dc.created_at DESC`);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get discount codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get discount codes'
+    });
+  }
+});
+
+// @route   GET /api/admin/discount-codes/:id
+// @desc    Get a discount code with its redemptions
+// @access  Private/Admin
+router.get('/discount-codes/:id', authenticate, requirePermission('discounts:manage'), async (req, res) => {
+  try {
+    const result = await query(`${DISCOUNT_CODE_SQL} WHERE dc.id = $1`, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount code not found'
+      });
+    }
+
+    const redemptions = await query(`
+      SELECT r.*, u.name as student_name, u.email as student_email
+      FROM discount_redemptions r
+      LEFT JOIN students s ON r.student_id = s.id
+      LEFT JOIN users u ON s.user_id = u.id
+      WHERE r.discount_code_id = $1
+      ORDER BY r.created_at DESC
+    `, [req.params.id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...result.rows[0],
+        redemptions: redemptions.rows
+      }
+    });
+  } catch (error) {
+    console.error('Get discount code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get discount code'
+    });
+  }
+});
+
+// @route   POST /api/admin/discount-codes
+// @desc    Create a discount code
+// @access  Private/Admin
+router.post('/discount-codes', authenticate, requirePermission('discounts:manage'), [
+  body('code').matches(/^[A-Za-z0-9_-]{3,50}$/).withMessage('Code must be 3-50 letters, digits, dashes or underscores'),
+  body('discountType').isIn(['percentage', 'fixed']),
+  body('discountValue').isFloat({ gt: 0 }),
+  ...discountCodeValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const code = normalizeCode(req.body.code);
+    const fields = {
+      description: req.body.description || null,
+      discount_type: req.body.discountType,
+      discount_value: req.body.discountValue,
+      starts_at: req.body.startsAt || null,
+      expires_at: req.body.expiresAt || null,
+      max_redemptions: req.body.maxRedemptions || null,
+      first_booking_only: req.body.firstBookingOnly || false,
+      is_active: req.body.isActive !== undefined ? req.body.isActive : true
+    };
+    const subjectIds = req.body.subjectIds || [];
+
+    const invalid = await checkDiscountCode(fields, subjectIds);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const existing = await query('SELECT id FROM discount_codes WHERE code = $1', [code]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Discount code already exists'
+      });
+    }
+
+    const discountCode = await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO discount_codes (
+          code, description, discount_type, discount_value, starts_at, expires_at,
+          max_redemptions, first_booking_only, is_active, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `, [
+        code, fields.description, fields.discount_type, fields.discount_value, fields.starts_at,
+        fields.expires_at, fields.max_redemptions, fields.first_booking_only, fields.is_active, req.user.id
+      ]);
+      await saveDiscountSubjects(client, result.rows[0].id, subjectIds);
+      return result.rows[0];
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Discount code created successfully',
+      data: { ...discountCode, subject_ids: [...new Set(subjectIds)], redemption_count: 0 }
+    });
+  } catch (error) {
+    console.error('Create discount code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create discount code'
+    });
+  }
+});
+
+// @route   PUT /api/admin/discount-codes/:id
+// @desc    Update a discount code (only the fields given; subjectIds replaces the list)
+// @access  Private/Admin
+router.put('/discount-codes/:id', authenticate, requirePermission('discounts:manage'), discountCodeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const existing = await query('SELECT * FROM discount_codes WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount code not found'
+      });
+    }
+
+    // Absent fields keep their value; null clears the optional ones
+    const pick = (key, column) => (req.body[key] !== undefined ? req.body[key] : existing.rows[0][column]);
+    const fields = {
+      description: pick('description', 'description'),
+      discount_type: pick('discountType', 'discount_type'),
+      discount_value: pick('discountValue', 'discount_value'),
+      starts_at: pick('startsAt', 'starts_at'),
+      expires_at: pick('expiresAt', 'expires_at'),
+      max_redemptions: pick('maxRedemptions', 'max_redemptions'),
+      first_booking_only: pick('firstBookingOnly', 'first_booking_only'),
+      is_active: pick('isActive', 'is_active')
+    };
+    const { subjectIds } = req.body;
+
+    const invalid = await checkDiscountCode(fields, subjectIds);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    await transaction(async (client) => {
+      await client.query(`
+        UPDATE discount_codes
+        SET description = $2, discount_type = $3, discount_value = $4, starts_at = $5,
+            expires_at = $6, max_redemptions = $7, first_booking_only = $8, is_active = $9,
+            updated_at = NOW()
+        WHERE id = $1
+      `, [
+        req.params.id, fields.description, fields.discount_type, fields.discount_value, fields.starts_at,
+        fields.expires_at, fields.max_redemptions, fields.first_booking_only, fields.is_active
+      ]);
+      if (subjectIds) {
+        await saveDiscountSubjects(client, req.params.id, subjectIds);
+      }
+    });
+
+    const updated = await query(`${DISCOUNT_CODE_SQL} WHERE dc.id = $1`, [req.params.id]);
+
+    res.json({
+      success: true,
+      message: 'Discount code updated successfully',
+      data: updated.rows[0]
+    });
+  } catch (error) {
+    console.error('Update discount code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update discount code'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/discount-codes/:id
+// @desc    Delete a discount code that was never redeemed
+// @access  Private/Admin
+router.delete('/discount-codes/:id', authenticate, requirePermission('discounts:manage'), async (req, res) => {
+  try {
+    const redeemed = await query(
+      'SELECT 1 FROM discount_redemptions WHERE discount_code_id = $1 LIMIT 1',
+      [req.params.id]
+    );
+    if (redeemed.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Discount code has been redeemed; deactivate it instead'
+      });
+    }
+
+    const result = await query('DELETE FROM discount_codes WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount code not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Discount code deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete discount code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete discount code'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,19 +1,111 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../models/database');
+const { query, transaction } = require('../models/database');
 const { authenticate } = require('../middleware/auth');
+const { queueEmail } = require('../services/email');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+const { hashToken, createOneTimeToken } = require('../utils/tokens');
+const {
+  getClientInfo,
+  createSession,
+  refreshSession,
+  listUserSessions,
+  revokeUserSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions
+} = require('../services/authSessions');
+const {
+  isTwoFactorRequired,
+  createLoginChallenge,
+  completeLoginChallenge
+} = require('../services/twoFactor');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../services/loginProtection');
 
 const router = express.Router();
 
-// Generate JWT token - UPDATED to include role
-const generateToken = (userId, role) => {
-  return jwt.sign(
-    { userId, role }, // Added role to token payload
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
+// Password reset links expire after this many minutes
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES || '60', 10);
+
+// Email verification links expire after this many hours
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || '48', 10);
+
+// Reset emails sent per account per hour
+const PASSWORD_RESET_MAX_PER_HOUR = 3;
+
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for that email, a password reset link has been sent.';
+
+// Limit forgot-password requests per email address, whether or not it exists
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  keyGenerator: (req) => String(req.body.email || '').trim().toLowerCase(),
+  message: { success: false, message: 'Too many password reset requests, please try again later.' }
+});
+
+// User fields returned by login and register
+const formatUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  profilePicture: user.profile_picture,
+  timezone: user.timezone,
+  emailVerified: user.email_verified
+});
+
+// Successful login response: a new session plus the user
+const sendLoginResponse = async (req, res, user) => {
+  const clientInfo = getClientInfo(req);
+  await recordLoginSuccess({ email: user.email, userId: user.id, ...clientInfo });
+  const { token, refreshToken } = await createSession(user.id, clientInfo);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: formatUser(user),
+      token,
+      refreshToken,
+      twoFactorSetupRequired: !user.two_factor_enabled && await isTwoFactorRequired(user)
+    }
+  });
+};
+
+// Limit verification email resends per account
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  keyGenerator: (req) => String(req.user.id),
+  message: { success: false, message: 'Too many verification emails requested, please try again later.' }
+});
+
+// Issue a fresh verification token (replacing any outstanding one) and email it
+const sendVerificationEmail = async (user) => {
+  const { token, tokenHash } = createOneTimeToken();
+
+  await transaction(async (client) => {
+    await client.query(
+      'UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+    await client.query(
+      `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + $3::int * INTERVAL '1 hour')`,
+      [user.id, tokenHash, EMAIL_VERIFICATION_EXPIRE_HOURS]
+    );
+  });
+
+  await queueEmail(user.email, 'email_verification', {
+    name: user.name,
+    token,
+    expiresInHours: EMAIL_VERIFICATION_EXPIRE_HOURS
+  });
 };
 
 // @route   POST /api/auth/register
@@ -23,7 +115,8 @@ router.post('/register', [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('name').trim().isLength({ min: 2 }),
-  body('role').isIn(['teacher', 'student'])
+  body('role').isIn(['teacher', 'student', 'parent']),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone')
 ], async (req, res) => {
   try {
     // Validate input
@@ -35,7 +128,7 @@ router.post('/register', [
       });
     }
 
-    const { email, password, name, role, gradeLevel, bio, subjects } = req.body;
+    const { email, password, name, role, gradeLevel, bio, subjects, timezone } = req.body;
 
     // Check if user already exists
     const existingUser = await query(
@@ -56,15 +149,16 @@ router.post('/register', [
 
     // Create user
     const userResult = await query(
-      `INSERT INTO users (email, password_hash, name, role)
-       VALUES ($1, $2, $3, $4)
-       RETURNING id, email, name, role, profile_picture, created_at`,
-      [email, hashedPassword, name, role]
+      `INSERT INTO users (email, password_hash, name, role, timezone)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, email, name, role, profile_picture, timezone, email_verified, created_at`,
+      [email, hashedPassword, name, role, timezone || DEFAULT_TIMEZONE]
     );
 
     const user = userResult.rows[0];
 
-    // Create teacher or student profile
+    // Create teacher or student profile; parents have none and link to
+    // their children's student accounts afterwards
     if (role === 'teacher') {
       await query(
         `INSERT INTO teachers (user_id, bio, verification_status, is_live)
@@ -89,21 +183,21 @@ router.post('/register', [
       );
     }
 
-    // Generate token - UPDATED to include role
-    const token = generateToken(user.id, user.role);
+    // Welcome email goes through the outbox; it must never fail registration
+    await queueEmail(user.email, 'registration', { name: user.name, role: user.role })
+      .catch((error) => console.error('Queue registration email error:', error));
+    await sendVerificationEmail(user)
+      .catch((error) => console.error('Queue verification email error:', error));
+
+    const { token, refreshToken } = await createSession(user.id, getClientInfo(req));
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          role: user.role,
-          profilePicture: user.profile_picture
-        },
-        token
+        user: formatUser(user),
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -133,14 +227,30 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const clientInfo = getClientInfo(req);
+
+    // Refuse locked accounts and blocked IPs, slow down repeated failures
+    const check = await checkLoginAllowed(email, clientInfo.ipAddress);
+    if (!check.allowed) {
+      res.set('Retry-After', String(check.retryAfterMinutes * 60));
+      return res.status(429).json({
+        success: false,
+        code: 'LOGIN_LOCKED',
+        message: check.message,
+        retryAfterMinutes: check.retryAfterMinutes
+      });
+    }
 
     // Find user
     const userResult = await query(
-      'SELECT id, email, name, role, profile_picture, password_hash FROM users WHERE email = $1',
+      `SELECT id, email, name, role, profile_picture, timezone, email_verified,
+              two_factor_enabled, two_factor_required, password_hash
+       FROM users WHERE email = $1`,
       [email]
     );
 
     if (userResult.rows.length === 0) {
+      await recordLoginFailure({ email, ...clientInfo, reason: 'unknown_email' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -152,34 +262,236 @@ router.post('/login', [
     // Check password
     const isMatch = await bcrypt.compare(password, user.password_hash);
     if (!isMatch) {
+      await recordLoginFailure({ email, userId: user.id, ...clientInfo, reason: 'invalid_password' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate token - UPDATED to include role
-    const token = generateToken(user.id, user.role);
+    // With 2FA on, the password only earns a challenge for the second step
+    if (user.two_factor_enabled) {
+      const { challengeToken, expiresInMinutes } = await createLoginChallenge(user.id);
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken,
+          expiresInMinutes
+        }
+      });
+    }
+
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a login with an authenticator or backup code
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty(),
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code } = req.body;
+
+    const outcome = await completeLoginChallenge(challengeToken, code);
+    if (outcome.error) {
+      if (outcome.userId) {
+        const userResult = await query('SELECT email FROM users WHERE id = $1', [outcome.userId]);
+        await recordLoginFailure({
+          email: userResult.rows[0].email,
+          userId: outcome.userId,
+          ...getClientInfo(req),
+          reason: 'invalid_2fa_code'
+        });
+      }
+      return res.status(401).json({
+        success: false,
+        message: outcome.error
+      });
+    }
+
+    const userResult = await query(
+      `SELECT id, email, name, role, profile_picture, timezone, email_verified,
+              two_factor_enabled, two_factor_required
+       FROM users WHERE id = $1`,
+      [outcome.userId]
+    );
+
+    await sendLoginResponse(req, res, userResult.rows[0]);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = await refreshSession(req.body.refreshToken, getClientInfo(req));
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Login successful',
       data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          role: user.role,
-          profilePicture: user.profile_picture
-        },
-        token
+        token: session.token,
+        refreshToken: session.refreshToken
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed'
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Sign out the session a refresh token belongs to
+// @access  Public
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    await revokeSessionByRefreshToken(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Sign out on every device
+// @access  Private
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const count = await revokeUserSessions({ query }, req.user.id, { reason: 'logout_all' });
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { sessionsRevoked: count }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the user is signed in on
+// @access  Private
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id, 10);
+
+    if (!Number.isInteger(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session id'
+      });
+    }
+
+    const revoked = await revokeUserSession(req.user.id, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
     });
   }
 });
@@ -208,7 +520,8 @@ router.get('/me', authenticate, async (req, res) => {
 // @desc    Update user profile
 // @access  Private
 router.put('/profile', authenticate, [
-  body('name').optional().trim().isLength({ min: 2 })
+  body('name').optional().trim().isLength({ min: 2 }),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -219,7 +532,7 @@ router.put('/profile', authenticate, [
       });
     }
 
-    const { name, profilePicture } = req.body;
+    const { name, profilePicture, timezone } = req.body;
     const updates = [];
     const values = [];
     let paramCount = 1;
@@ -236,6 +549,12 @@ router.put('/profile', authenticate, [
       paramCount++;
     }
 
+    if (timezone) {
+      updates.push(`timezone = $${paramCount}`);
+      values.push(timezone);
+      paramCount++;
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({
         success: false,
@@ -248,7 +567,7 @@ router.put('/profile', authenticate, [
     const result = await query(
       `UPDATE users SET ${updates.join(', ')}, updated_at = NOW() 
        WHERE id = $${paramCount}
-       RETURNING id, email, name, role, profile_picture`,
+       RETURNING id, email, name, role, profile_picture, timezone`,
       values
     );
 
@@ -307,11 +626,17 @@ router.post('/change-password', authenticate, [
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(newPassword, salt);
 
-    // Update password
-    await query(
-      'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
-      [hashedPassword, req.user.id]
-    );
+    // Update password and sign out every other device
+    await transaction(async (client) => {
+      await client.query(
+        'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+        [hashedPassword, req.user.id]
+      );
+      await revokeUserSessions(client, req.user.id, {
+        reason: 'password_changed',
+        exceptSessionId: req.sessionId
+      });
+    });
 
     res.json({
       success: true,
@@ -326,4 +651,234 @@ router.post('/change-password', authenticate, [
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', forgotPasswordLimiter, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const userResult = await query(
+      'SELECT id, name, email FROM users WHERE email = $1',
+      [email]
+    );
+
+    // Same response whether or not the account exists
+    if (userResult.rows.length === 0) {
+      return res.json({
+        success: true,
+        message: FORGOT_PASSWORD_MESSAGE
+      });
+    }
+
+    const user = userResult.rows[0];
+
+    const recentResult = await query(
+      "SELECT COUNT(*) FROM password_reset_tokens WHERE user_id = $1 AND created_at > NOW() - INTERVAL '1 hour'",
+      [user.id]
+    );
+
+    if (parseInt(recentResult.rows[0].count) < PASSWORD_RESET_MAX_PER_HOUR) {
+      const { token, tokenHash } = createOneTimeToken();
+
+      await transaction(async (client) => {
+        // Only the newest link works
+        await client.query(
+          'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+          [user.id]
+        );
+        await client.query(
+          `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+           VALUES ($1, $2, NOW() + $3::int * INTERVAL '1 minute', $4)`,
+          [user.id, tokenHash, PASSWORD_RESET_EXPIRE_MINUTES, req.ip]
+        );
+      });
+
+      await queueEmail(user.email, 'password_reset', {
+        name: user.name,
+        token,
+        expiresInMinutes: PASSWORD_RESET_EXPIRE_MINUTES
+      });
+    }
+
+    res.json({
+      success: true,
+      message: FORGOT_PASSWORD_MESSAGE
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const reset = await transaction(async (client) => {
+      // Claim the token so it can only be used once
+      const tokenResult = await client.query(`
+        UPDATE password_reset_tokens SET used_at = NOW()
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+        RETURNING user_id
+      `, [hashToken(token)]);
+
+      if (tokenResult.rows.length === 0) {
+        return false;
+      }
+
+      const userId = tokenResult.rows[0].user_id;
+
+      // Stamping password_changed_at also rejects access tokens issued earlier
+      await client.query(
+        'UPDATE users SET password_hash = $1, password_changed_at = NOW(), updated_at = NOW() WHERE id = $2',
+        [hashedPassword, userId]
+      );
+      await client.query(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+      );
+      await revokeUserSessions(client, userId, { reason: 'password_reset' });
+
+      return true;
+    });
+
+    if (!reset) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// Mark the account behind a verification token as verified
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.method === 'GET' ? req.query.token : req.body.token;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const verified = await transaction(async (client) => {
+      const tokenResult = await client.query(`
+        UPDATE email_verification_tokens SET used_at = NOW()
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+        RETURNING user_id
+      `, [hashToken(token)]);
+
+      if (tokenResult.rows.length === 0) {
+        return false;
+      }
+
+      await client.query(`
+        UPDATE users SET email_verified = true, email_verified_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND email_verified = false
+      `, [tokenResult.rows[0].user_id]);
+
+      return true;
+    });
+
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+};
+
+// @route   GET /api/auth/verify-email
+// @desc    Verify email address (link from the verification email)
+// @access  Public
+router.get('/verify-email', verifyEmail);
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address
+// @access  Public
+router.post('/verify-email', verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Private
+router.post('/resend-verification', authenticate, resendVerificationLimiter, async (req, res) => {
+  try {
+    if (req.user.email_verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
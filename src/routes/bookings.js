@@ -1,34 +1,105 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query, transaction } = require('../models/database');
-const { authenticate, requireStudent, requireTeacher } = require('../middleware/auth');
+const { authenticate, requireStudent, requireTeacher, requireVerifiedEmail } = require('../middleware/auth');
+const { loadProfile, loadStudent, requireBookingAccess, requireSeriesAccess } = require('../middleware/ownership');
+const { lockTeacherSchedule, validateSlot } = require('../services/scheduling');
+const { allowedFrom, checkTransition, recordStatusChange, transitionBookings } = require('../services/bookingStatus');
+const { syncSessionSchedule } = require('../services/sessions');
+const { rescheduleClassReminders } = require('../services/reminders');
+const { notifyBookingCreated, notifyBookingCancelled, notifyBookingConfirmed } = require('../services/notifications');
+const { getCancellationPolicy, evaluateCancellation, recordCancellation } = require('../services/cancellation');
+const { startCheckout, formatCheckout } = require('../services/onlinePayments');
+const { applyCredit } = require('../services/refunds');
+const { applyDiscountCode, recordRedemption } = require('../services/discounts');
+const { getInvoiceForBooking } = require('../services/invoices');
+const { renderInvoicePdf } = require('../services/invoicePdf');
+const { toInstant, addDaysInTimezone, localizeBooking } = require('../utils/timezone');
 
 const router = express.Router();
 
+// Longest recurring series a student can book in one request
+const MAX_SERIES_WEEKS = 26;
+
+// Bookings that can still be moved to another time
+const RESCHEDULABLE_STATUSES = ['pending_payment', 'payment_under_review', 'confirmed'];
+
+// Hourly price of a subject for the student's grade
+const getStudentPricing = async (student, subjectId) => {
+  const { id: studentId, grade_level: gradeLevel } = student;
+
+  const priceResult = await query(
+    'SELECT price_per_hour FROM pricing_tiers WHERE subject_id = $1 AND grade_level = $2',
+    [subjectId, gradeLevel]
+  );
+
+  if (priceResult.rows.length === 0) {
+    return { error: { status: 400, message: 'Price not found for this subject and grade level' } };
+  }
+
+  return { studentId, gradeLevel, pricePerHour: priceResult.rows[0].price_per_hour };
+};
+
+// New bookings a discount made free need no payment: confirm them straight
+// away. Returns the bookings as stored.
+const confirmFreeBookings = async (client, bookings, userId) => {
+  if (bookings.some((booking) => parseFloat(booking.total_amount) > 0)) {
+    return bookings;
+  }
+  return transitionBookings(client, bookings.map((booking) => booking.id), ['pending_payment'], 'confirmed', {
+    changedBy: userId,
+    reason: 'Fully covered by discount code'
+  });
+};
+
+// Spend the student's credit on a new booking when they asked for it with
+// `useCredit: true`. Returns what was applied, or null when nothing was.
+const applyCreditToNewBooking = async (req, bookingId) => {
+  if (!req.body.useCredit) return undefined;
+
+  try {
+    const result = await transaction((client) => applyCredit(client, bookingId, req.student.id, req.user.id));
+    if (result.error) return null;
+
+    if (result.confirmed) {
+      await notifyBookingConfirmed(bookingId);
+    }
+    return {
+      applied: result.applied,
+      outstanding: result.outstanding,
+      creditBalance: result.balance,
+      confirmed: result.confirmed
+    };
+  } catch (error) {
+    console.error('Apply credit error:', error);
+    return null;
+  }
+};
+
+// Start an online checkout for a new booking when the student asked for
+// one with `checkout: true`. The booking stands if this fails; the student
+// can retry through POST /api/payments/checkout or upload a proof instead.
+const checkoutForNewBooking = async (req, bookingId) => {
+  if (!req.body.checkout) return undefined;
+
+  try {
+    const result = await startCheckout(bookingId, req.user);
+    return result.checkout ? formatCheckout(result.checkout) : null;
+  } catch (error) {
+    console.error('Start checkout error:', error);
+    return null;
+  }
+};
+
 // @route   GET /api/bookings
 // @desc    Get user's bookings
 // @access  Private
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, loadProfile, async (req, res) => {
   try {
     let sql;
     let params;
 
-    if (req.user.role === 'student') {
-      // Get student ID
-      const studentResult = await query(
-        'SELECT id FROM students WHERE user_id = $1',
-        [req.user.id]
-      );
-      
-      if (studentResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Student not found'
-        });
-      }
-
-      const studentId = studentResult.rows[0].id;
-
+    if (req.student) {
       sql = `
         SELECT 
           b.*,
@@ -42,23 +113,8 @@ router.get('/', authenticate, async (req, res) => {
         WHERE b.student_id = $1
         ORDER BY b.created_at DESC
       `;
-      params = [studentId];
-    } else if (req.user.role === 'teacher') {
-      // Get teacher ID
-      const teacherResult = await query(
-        'SELECT id FROM teachers WHERE user_id = $1',
-        [req.user.id]
-      );
-      
-      if (teacherResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Teacher not found'
-        });
-      }
-
-      const teacherId = teacherResult.rows[0].id;
-
+      params = [req.student.id];
+    } else if (req.teacher) {
       sql = `
         SELECT 
           b.*,
@@ -72,7 +128,26 @@ router.get('/', authenticate, async (req, res) => {
         WHERE b.teacher_id = $1
         ORDER BY b.created_at DESC
       `;
-      params = [teacherId];
+      params = [req.teacher.id];
+    } else if (req.user.role === 'parent') {
+      // Bookings of every linked student
+      sql = `
+        SELECT 
+          b.*,
+          tu.name as teacher_name,
+          tu.profile_picture as teacher_picture,
+          su.name as student_name,
+          s.name as subject_name
+        FROM bookings b
+        JOIN teachers t ON b.teacher_id = t.id
+        JOIN users tu ON t.user_id = tu.id
+        JOIN students st ON b.student_id = st.id
+        JOIN users su ON st.user_id = su.id
+        JOIN subjects s ON b.subject_id = s.id
+        WHERE b.student_id = ANY($1::int[])
+        ORDER BY b.created_at DESC
+      `;
+      params = [req.linkedStudentIds];
     } else {
       return res.status(403).json({
         success: false,
@@ -85,7 +160,7 @@ router.get('/', authenticate, async (req, res) => {
     res.json({
       success: true,
       count: result.rows.length,
-      data: result.rows
+      data: result.rows.map((booking) => localizeBooking(booking, req.user.timezone))
     });
   } catch (error) {
     console.error('Get bookings error:', error);
@@ -96,10 +171,20 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /api/bookings/cancellation-policy
+// @desc    Get the current cancellation policy
+// @access  Public
+router.get('/cancellation-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: getCancellationPolicy()
+  });
+});
+
 // @route   GET /api/bookings/:id
 // @desc    Get booking by ID
 // @access  Private
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requireBookingAccess(), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -129,31 +214,17 @@ router.get('/:id', authenticate, async (req, res) => {
 
     const booking = result.rows[0];
 
-    // Check authorization
-    if (req.user.role !== 'admin') {
-      const studentResult = await query(
-        'SELECT id FROM students WHERE user_id = $1',
-        [req.user.id]
-      );
-      const teacherResult = await query(
-        'SELECT id FROM teachers WHERE user_id = $1',
-        [req.user.id]
-      );
-
-      const isStudent = studentResult.rows.length > 0 && studentResult.rows[0].id === booking.student_id;
-      const isTeacher = teacherResult.rows.length > 0 && teacherResult.rows[0].id === booking.teacher_id;
-
-      if (!isStudent && !isTeacher) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized'
-        });
-      }
-    }
+    const cancellationResult = await query(
+      'SELECT * FROM booking_cancellations WHERE booking_id = $1',
+      [id]
+    );
 
     res.json({
       success: true,
-      data: booking
+      data: {
+        ...localizeBooking(booking, req.user.timezone),
+        cancellation: cancellationResult.rows[0] || null
+      }
     });
   } catch (error) {
     console.error('Get booking error:', error);
@@ -167,11 +238,12 @@ router.get('/:id', authenticate, async (req, res) => {
 // @route   POST /api/bookings
 // @desc    Create new booking
 // @access  Private/Student
-router.post('/', authenticate, requireStudent, [
+router.post('/', authenticate, requireStudent, requireVerifiedEmail, loadStudent, [
   body('teacherId').isInt(),
   body('subjectId').isInt(),
   body('scheduledDate').isISO8601(),
-  body('duration').isInt({ min: 30, max: 240 })
+  body('duration').isInt({ min: 30, max: 240 }),
+  body('discountCode').optional().trim().isLength({ min: 1, max: 50 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -182,68 +254,329 @@ router.post('/', authenticate, requireStudent, [
       });
     }
 
-    const { teacherId, subjectId, scheduledDate, duration, notes } = req.body;
+    const { teacherId, subjectId, scheduledDate, duration, notes, discountCode: code } = req.body;
 
-    // Get student ID
-    const studentResult = await query(
-      'SELECT id, grade_level FROM students WHERE user_id = $1',
-      [req.user.id]
-    );
+    const pricing = await getStudentPricing(req.student, subjectId);
+    if (pricing.error) {
+      return res.status(pricing.error.status).json({
+        success: false,
+        message: pricing.error.message
+      });
+    }
 
-    if (studentResult.rows.length === 0) {
-      return res.status(404).json({
+    const { studentId, gradeLevel, pricePerHour } = pricing;
+    const totalAmount = Math.round((pricePerHour * duration) / 60);
+
+    // Naive times are read in the student's timezone
+    const scheduledAt = toInstant(scheduledDate, req.user.timezone);
+
+    const result = await transaction(async (client) => {
+      // Lock the teacher so overlapping requests are checked one at a time
+      const teacher = await lockTeacherSchedule(client, teacherId);
+
+      if (!teacher) {
+        return { status: 404, message: 'Teacher not found' };
+      }
+
+      const slotError = await validateSlot(client, teacherId, scheduledAt, duration);
+      if (slotError) {
+        return slotError;
+      }
+
+      // Serialise a student's new bookings, so a first-booking-only code
+      // sees bookings made at the same time (with or without a code)
+      await client.query('SELECT id FROM students WHERE id = $1 FOR UPDATE', [studentId]);
+
+      let discountCode = null;
+      let discountAmount = 0;
+      if (code) {
+        const discount = await applyDiscountCode(client, code, { studentId, subjectId, amounts: [totalAmount] });
+        if (discount.error) {
+          return discount.error;
+        }
+        discountCode = discount.discountCode;
+        [discountAmount] = discount.discounts;
+      }
+
+      // Create booking
+      const bookingResult = await client.query(`
+        INSERT INTO bookings (
+          student_id, teacher_id, subject_id, grade_level,
+          scheduled_date, duration, price_per_hour, total_amount,
+          status, meeting_link, notes, discount_code_id, discount_amount
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending_payment', $9, $10, $11, $12)
+        RETURNING *
+      `, [
+        studentId, teacherId, subjectId, gradeLevel, scheduledAt, duration, pricePerHour,
+        totalAmount - discountAmount, teacher.meeting_link || '', notes || '',
+        discountCode && discountCode.id, discountAmount
+      ]);
+
+      let booking = bookingResult.rows[0];
+      await recordStatusChange(client, booking.id, null, booking.status, { changedBy: req.user.id });
+
+      if (discountCode) {
+        await recordRedemption(client, discountCode, { studentId, bookingId: booking.id, amount: discountAmount });
+        [booking] = await confirmFreeBookings(client, [booking], req.user.id);
+      }
+
+      return {
+        booking,
+        discount: discountCode ? { code: discountCode.code, amount: discountAmount } : undefined
+      };
+    });
+
+    if (!result.booking) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Student not found'
+        ...(result.code && { code: result.code }),
+        message: result.message
       });
     }
 
-    const studentId = studentResult.rows[0].id;
-    const gradeLevel = studentResult.rows[0].grade_level;
+    await notifyBookingCreated(result.booking.id);
 
-    // Get price for subject and grade
-    const priceResult = await query(
-      'SELECT price_per_hour FROM pricing_tiers WHERE subject_id = $1 AND grade_level = $2',
-      [subjectId, gradeLevel]
-    );
+    let credit;
+    let checkout;
+    if (result.booking.status === 'confirmed') {
+      await notifyBookingConfirmed(result.booking.id);
+    } else {
+      credit = await applyCreditToNewBooking(req, result.booking.id);
+      checkout = credit && credit.confirmed ? undefined : await checkoutForNewBooking(req, result.booking.id);
+    }
 
-    if (priceResult.rows.length === 0) {
+    res.status(201).json({
+      success: true,
+      message: 'Booking created successfully',
+      data: localizeBooking(result.booking, req.user.timezone),
+      discount: result.discount,
+      credit,
+      checkout
+    });
+  } catch (error) {
+    console.error('Create booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create booking'
+    });
+  }
+});
+
+// @route   POST /api/bookings/recurring
+// @desc    Create a weekly series of linked bookings
+// @access  Private/Student
+router.post('/recurring', authenticate, requireStudent, requireVerifiedEmail, loadStudent, [
+  body('teacherId').isInt(),
+  body('subjectId').isInt(),
+  body('startDate').isISO8601(),
+  body('duration').isInt({ min: 30, max: 240 }),
+  body('weeks').isInt({ min: 2, max: MAX_SERIES_WEEKS }),
+  body('discountCode').optional().trim().isLength({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Price not found for this subject and grade level'
+        errors: errors.array()
       });
     }
 
-    const pricePerHour = priceResult.rows[0].price_per_hour;
-    const totalAmount = Math.round((pricePerHour * duration) / 60);
+    const { teacherId, subjectId, startDate, notes, discountCode: code } = req.body;
+    const duration = parseInt(req.body.duration, 10);
+    const weeks = parseInt(req.body.weeks, 10);
 
-    // Get teacher's meeting link
-    const teacherResult = await query(
-      'SELECT meeting_link FROM teachers WHERE id = $1',
-      [teacherId]
-    );
+    const pricing = await getStudentPricing(req.student, subjectId);
+    if (pricing.error) {
+      return res.status(pricing.error.status).json({
+        success: false,
+        message: pricing.error.message
+      });
+    }
 
-    const meetingLink = teacherResult.rows[0]?.meeting_link || '';
+    const { studentId, gradeLevel, pricePerHour } = pricing;
+    const amountPerLesson = Math.round((pricePerHour * duration) / 60);
 
-    // Create booking
-    const result = await query(`
-      INSERT INTO bookings (
-        student_id, teacher_id, subject_id, grade_level,
-        scheduled_date, duration, price_per_hour, total_amount,
-        status, meeting_link, notes
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending_payment', $9, $10)
-      RETURNING *
-    `, [studentId, teacherId, subjectId, gradeLevel, scheduledDate, duration, pricePerHour, totalAmount, meetingLink, notes || '']);
+    // Same wall-clock time every week in the student's timezone
+    const firstAt = toInstant(startDate, req.user.timezone);
+    const occurrences = [];
+    for (let week = 0; week < weeks; week++) {
+      occurrences.push(addDaysInTimezone(firstAt, week * 7, req.user.timezone));
+    }
+
+    const result = await transaction(async (client) => {
+      const teacher = await lockTeacherSchedule(client, teacherId);
+
+      if (!teacher) {
+        return { status: 404, message: 'Teacher not found' };
+      }
+
+      // Validate every occurrence before creating anything
+      const conflicts = [];
+      for (const scheduledAt of occurrences) {
+        const slotError = await validateSlot(client, teacherId, scheduledAt, duration);
+        if (slotError) {
+          conflicts.push({ scheduledDate: scheduledAt.toISOString(), message: slotError.message });
+        }
+      }
+
+      if (conflicts.length > 0) {
+        return { status: 409, message: 'Some occurrences cannot be booked', conflicts };
+      }
+
+      // Serialise a student's new bookings (see POST /api/bookings)
+      await client.query('SELECT id FROM students WHERE id = $1 FOR UPDATE', [studentId]);
+
+      let discountCode = null;
+      let discounts = occurrences.map(() => 0);
+      if (code) {
+        const discount = await applyDiscountCode(client, code, {
+          studentId,
+          subjectId,
+          amounts: occurrences.map(() => amountPerLesson)
+        });
+        if (discount.error) {
+          return discount.error;
+        }
+        ({ discountCode, discounts } = discount);
+      }
+      const discountTotal = Math.round(discounts.reduce((sum, amount) => sum + amount, 0) * 100) / 100;
+
+      const seriesResult = await client.query(`
+        INSERT INTO booking_series (
+          student_id, teacher_id, subject_id, grade_level,
+          occurrences, duration, price_per_hour, total_amount
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [studentId, teacherId, subjectId, gradeLevel, weeks, duration, pricePerHour, amountPerLesson * weeks - discountTotal]);
+
+      const series = seriesResult.rows[0];
+      let bookings = [];
+
+      for (const [index, scheduledAt] of occurrences.entries()) {
+        const bookingResult = await client.query(`
+          INSERT INTO bookings (
+            student_id, teacher_id, subject_id, grade_level,
+            scheduled_date, duration, price_per_hour, total_amount,
+            status, meeting_link, notes, series_id, discount_code_id, discount_amount
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending_payment', $9, $10, $11, $12, $13)
+          RETURNING *
+        `, [
+          studentId, teacherId, subjectId, gradeLevel, scheduledAt, duration, pricePerHour,
+          amountPerLesson - discounts[index], teacher.meeting_link || '', notes || '', series.id,
+          discountCode && discountCode.id, discounts[index]
+        ]);
+
+        const booking = bookingResult.rows[0];
+        await recordStatusChange(client, booking.id, null, booking.status, { changedBy: req.user.id });
+        bookings.push(booking);
+      }
+
+      if (discountCode) {
+        await recordRedemption(client, discountCode, {
+          studentId,
+          bookingId: bookings[0].id,
+          seriesId: series.id,
+          amount: discountTotal
+        });
+        bookings = await confirmFreeBookings(client, bookings, req.user.id);
+      }
+
+      return {
+        series,
+        bookings,
+        discount: discountCode ? { code: discountCode.code, amount: discountTotal } : undefined
+      };
+    });
+
+    if (!result.series) {
+      return res.status(result.status).json({
+        success: false,
+        ...(result.code && { code: result.code }),
+        message: result.message,
+        ...(result.conflicts && { conflicts: result.conflicts })
+      });
+    }
+
+    await notifyBookingCreated(result.bookings[0].id, { occurrences: result.bookings.length });
+
+    let credit;
+    let checkout;
+    if (result.bookings[0].status === 'confirmed') {
+      await notifyBookingConfirmed(result.bookings[0].id);
+    } else {
+      credit = await applyCreditToNewBooking(req, result.bookings[0].id);
+      checkout = credit && credit.confirmed ? undefined : await checkoutForNewBooking(req, result.bookings[0].id);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Booking created successfully',
-      data: result.rows[0]
+      message: 'Recurring booking created successfully',
+      data: {
+        ...result.series,
+        bookings: result.bookings.map((booking) => localizeBooking(booking, req.user.timezone))
+      },
+      discount: result.discount,
+      credit,
+      checkout
     });
   } catch (error) {
-    console.error('Create booking error:', error);
+    console.error('Create recurring booking error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create booking'
+      message: 'Failed to create recurring booking'
+    });
+  }
+});
+
+// @route   GET /api/bookings/series/:id
+// @desc    Get a booking series with its occurrences
+// @access  Private
+router.get('/series/:id', authenticate, requireSeriesAccess(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const seriesResult = await query(`
+      SELECT
+        bs.*,
+        tu.name as teacher_name,
+        su.name as student_name,
+        sub.name as subject_name
+      FROM booking_series bs
+      JOIN teachers t ON bs.teacher_id = t.id
+      JOIN users tu ON t.user_id = tu.id
+      JOIN students s ON bs.student_id = s.id
+      JOIN users su ON s.user_id = su.id
+      JOIN subjects sub ON bs.subject_id = sub.id
+      WHERE bs.id = $1
+    `, [id]);
+
+    if (seriesResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking series not found'
+      });
+    }
+
+    const series = seriesResult.rows[0];
+
+    const bookingsResult = await query(
+      'SELECT * FROM bookings WHERE series_id = $1 ORDER BY scheduled_date ASC',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...series,
+        bookings: bookingsResult.rows.map((booking) => localizeBooking(booking, req.user.timezone))
+      }
+    });
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking series'
     });
   }
 });
@@ -251,81 +584,111 @@ router.post('/', authenticate, requireStudent, [
 // @route   PUT /api/bookings/:id/status
 // @desc    Update booking status
 // @access  Private
-router.put('/:id/status', authenticate, async (req, res) => {
+router.put('/:id/status', authenticate, requireBookingAccess({
+  parties: ['student', 'teacher'],
+  permission: 'bookings:manage'
+}), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    // scope 'following' cancels this and every later occurrence of a series
+    const { status, reason, scope = 'occurrence' } = req.body;
 
-    const validStatuses = ['pending_payment', 'payment_under_review', 'confirmed', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!['occurrence', 'following'].includes(scope)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status'
+        message: 'Scope must be occurrence or following'
       });
     }
 
-    // Get booking
-    const bookingResult = await query(
-      'SELECT student_id, teacher_id FROM bookings WHERE id = $1',
-      [id]
-    );
+    const { booking } = req;
 
-    if (bookingResult.rows.length === 0) {
-      return res.status(404).json({
+    // Staff who are not a party act as admin
+    const actor = req.bookingParty || 'admin';
+
+    const transitionError = checkTransition(booking.status, status, actor);
+    if (transitionError) {
+      return res.status(transitionError.status).json({
         success: false,
-        message: 'Booking not found'
+        code: transitionError.code,
+        message: transitionError.message
       });
     }
 
-    const booking = bookingResult.rows[0];
+    const historyOptions = { changedBy: req.user.id, reason: reason || null };
+    const cancellationOptions = { cancelledBy: req.user.id, actor, reason: reason || null };
 
-    // Check authorization
-    if (req.user.role !== 'admin') {
-      const studentResult = await query(
-        'SELECT id FROM students WHERE user_id = $1',
-        [req.user.id]
-      );
-      const teacherResult = await query(
-        'SELECT id FROM teachers WHERE user_id = $1',
-        [req.user.id]
+    const result = await transaction(async (client) => {
+      const [updated] = await transitionBookings(client, [id], [booking.status], status, historyOptions);
+
+      if (!updated || status !== 'cancelled') {
+        return { updated, cancelledOccurrences: [] };
+      }
+
+      // Apply the cancellation policy to the money paid for this lesson
+      const cancellation = await recordCancellation(
+        client,
+        updated,
+        evaluateCancellation(updated, booking.status, actor),
+        cancellationOptions
       );
 
-      const isStudent = studentResult.rows.length > 0 && studentResult.rows[0].id === booking.student_id;
-      const isTeacher = teacherResult.rows.length > 0 && teacherResult.rows[0].id === booking.teacher_id;
+      // Cancel the rest of the series as well
+      let cancelledOccurrences = [];
+      if (scope === 'following' && booking.series_id) {
+        const laterResult = await client.query(
+          'SELECT id, status FROM bookings WHERE series_id = $1 AND id <> $2 AND scheduled_date > $3',
+          [booking.series_id, id, booking.scheduled_date]
+        );
+        const previousStatuses = new Map(laterResult.rows.map((row) => [row.id, row.status]));
 
-      // Students can only cancel their own bookings
-      if (isStudent && status !== 'cancelled') {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized'
-        });
-      }
+        cancelledOccurrences = await transitionBookings(
+          client,
+          laterResult.rows.map((row) => row.id),
+          allowedFrom('cancelled'),
+          'cancelled',
+          historyOptions
+        );
 
-      // Teachers can only confirm/complete their own bookings
-      if (isTeacher && !['confirmed', 'completed'].includes(status)) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized'
-        });
+        for (const occurrence of cancelledOccurrences) {
+          occurrence.cancellation = await recordCancellation(
+            client,
+            occurrence,
+            evaluateCancellation(occurrence, previousStatuses.get(occurrence.id), actor),
+            cancellationOptions
+          );
+        }
       }
 
-      if (!isStudent && !isTeacher) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized'
-        });
-      }
+      return { updated, cancellation, cancelledOccurrences };
+    });
+
+    // Someone else changed the status between our read and the update
+    if (!result.updated) {
+      return res.status(409).json({
+        success: false,
+        code: 'STATUS_CHANGED',
+        message: 'Booking status changed, please reload and try again'
+      });
     }
 
-    const result = await query(
-      `UPDATE bookings SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
-      [status, id]
-    );
+    if (status === 'cancelled') {
+      await notifyBookingCancelled(result.updated.id, req.user.id);
+    } else if (status === 'confirmed') {
+      await notifyBookingConfirmed(result.updated.id);
+    }
 
     res.json({
       success: true,
       message: 'Booking status updated',
-      data: result.rows[0]
+      data: localizeBooking(result.updated, req.user.timezone),
+      ...(result.cancellation && { cancellation: result.cancellation }),
+      ...(result.cancelledOccurrences.length > 0 && {
+        cancelledOccurrences: result.cancelledOccurrences.map((occurrence) => ({
+          id: occurrence.id,
+          scheduled_date: occurrence.scheduled_date,
+          cancellation: occurrence.cancellation
+        }))
+      })
     });
   } catch (error) {
     console.error('Update booking status error:', error);
@@ -336,21 +699,302 @@ router.put('/:id/status', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /api/bookings/:id/history
+// @desc    Get booking status history
+// @access  Private
+router.get('/:id/history', authenticate, requireBookingAccess(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query(`
+      SELECT
+        h.id, h.from_status, h.to_status, h.reason, h.created_at,
+        h.changed_by, u.name as changed_by_name, u.role as changed_by_role
+      FROM booking_status_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.booking_id = $1
+      ORDER BY h.created_at ASC, h.id ASC
+    `, [id]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get booking history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking history'
+    });
+  }
+});
+
+// @route   GET /api/bookings/:id/invoice
+// @desc    Download the invoice of a confirmed booking as PDF
+// @access  Private (student or guardian of the booking, staff)
+router.get('/:id/invoice', authenticate, requireBookingAccess({
+  parties: ['student', 'guardian'],
+  permission: 'payments:read_all'
+}), async (req, res) => {
+  try {
+    const invoice = await transaction((client) => getInvoiceForBooking(client, req.booking.id));
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        code: 'INVOICE_NOT_AVAILABLE',
+        message: 'An invoice is issued once the booking is confirmed'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
+    renderInvoicePdf(invoice, res);
+  } catch (error) {
+    console.error('Get booking invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invoice'
+    });
+  }
+});
+
+// @route   POST /api/bookings/:id/reschedule
+// @desc    Propose a new time for a booking
+// @access  Private (student or teacher of the booking)
+router.post('/:id/reschedule', authenticate, requireBookingAccess({
+  parties: ['student', 'teacher'],
+  permission: null
+}), [
+  body('scheduledDate').isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { scheduledDate, reason } = req.body;
+    const { booking, bookingParty: party } = req;
+
+    if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+      return res.status(409).json({
+        success: false,
+        code: 'INVALID_TRANSITION',
+        message: `A ${booking.status} booking cannot be rescheduled`
+      });
+    }
+
+    const proposedAt = toInstant(scheduledDate, req.user.timezone);
+
+    const result = await transaction(async (client) => {
+      await lockTeacherSchedule(client, booking.teacher_id);
+
+      const slotError = await validateSlot(client, booking.teacher_id, proposedAt, booking.duration, booking.id);
+      if (slotError) {
+        return slotError;
+      }
+
+      // A new proposal replaces any open one
+      await client.query(
+        "UPDATE reschedule_requests SET status = 'withdrawn' WHERE booking_id = $1 AND status = 'pending'",
+        [booking.id]
+      );
+
+      const requestResult = await client.query(`
+        INSERT INTO reschedule_requests (
+          booking_id, requested_by, requested_by_role, previous_date, proposed_date, reason
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [booking.id, req.user.id, party, booking.scheduled_date, proposedAt, reason || null]);
+
+      return { request: requestResult.rows[0] };
+    });
+
+    if (!result.request) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Reschedule proposed',
+      data: result.request
+    });
+  } catch (error) {
+    console.error('Propose reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to propose reschedule'
+    });
+  }
+});
+
+// @route   GET /api/bookings/:id/reschedule
+// @desc    Get reschedule proposals for a booking
+// @access  Private
+router.get('/:id/reschedule', authenticate, requireBookingAccess(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query(`
+      SELECT rr.*, u.name as requested_by_name
+      FROM reschedule_requests rr
+      LEFT JOIN users u ON rr.requested_by = u.id
+      WHERE rr.booking_id = $1
+      ORDER BY rr.created_at DESC
+    `, [id]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get reschedule requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reschedule requests'
+    });
+  }
+});
+
+// @route   PUT /api/bookings/:id/reschedule/:requestId
+// @desc    Accept or decline a reschedule proposal
+// @access  Private (the other party of the booking, or admin)
+router.put('/:id/reschedule/:requestId', authenticate, requireBookingAccess({
+  parties: ['student', 'teacher'],
+  permission: 'bookings:manage'
+}), [
+  body('action').isIn(['accept', 'decline'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id, requestId } = req.params;
+    const { action } = req.body;
+
+    const requestResult = await query(`
+      SELECT rr.*, b.student_id, b.teacher_id, b.duration
+      FROM reschedule_requests rr
+      JOIN bookings b ON rr.booking_id = b.id
+      WHERE rr.id = $1 AND rr.booking_id = $2
+    `, [requestId, id]);
+
+    if (requestResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reschedule request not found'
+      });
+    }
+
+    const request = requestResult.rows[0];
+
+    // Only the party that did not propose the change can answer it
+    if (req.bookingParty === request.requested_by_role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Reschedule request is already ${request.status}`
+      });
+    }
+
+    const result = await transaction(async (client) => {
+      if (action === 'accept') {
+        // The booking may have been cancelled or completed since it was read
+        await lockTeacherSchedule(client, request.teacher_id);
+        const lockedResult = await client.query(
+          'SELECT status FROM bookings WHERE id = $1 FOR UPDATE',
+          [request.booking_id]
+        );
+        const bookingStatus = lockedResult.rows[0].status;
+        if (!RESCHEDULABLE_STATUSES.includes(bookingStatus)) {
+          return { status: 409, message: `A ${bookingStatus} booking cannot be rescheduled` };
+        }
+
+        // Availability may have changed since the proposal was made
+        const slotError = await validateSlot(client, request.teacher_id, request.proposed_date, request.duration, request.booking_id);
+        if (slotError) {
+          return slotError;
+        }
+      }
+
+      const updatedRequest = await client.query(`
+        UPDATE reschedule_requests
+        SET status = $1, responded_by = $2, responded_at = NOW()
+        WHERE id = $3 AND status = 'pending'
+        RETURNING *
+      `, [action === 'accept' ? 'accepted' : 'declined', req.user.id, requestId]);
+
+      if (updatedRequest.rows.length === 0) {
+        return { status: 409, message: 'Reschedule request was already answered' };
+      }
+
+      if (action === 'decline') {
+        return { request: updatedRequest.rows[0] };
+      }
+
+      // Only the time moves; status, payment and history stay with the booking
+      const bookingResult = await client.query(
+        'UPDATE bookings SET scheduled_date = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+        [request.proposed_date, request.booking_id]
+      );
+      await syncSessionSchedule(client, request.booking_id);
+      await rescheduleClassReminders(client, request.booking_id);
+
+      return { request: updatedRequest.rows[0], booking: bookingResult.rows[0] };
+    });
+
+    if (!result.request) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: action === 'accept' ? 'Booking rescheduled' : 'Reschedule declined',
+      data: {
+        request: result.request,
+        ...(result.booking && { booking: localizeBooking(result.booking, req.user.timezone) })
+      }
+    });
+  } catch (error) {
+    console.error('Respond to reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to respond to reschedule request'
+    });
+  }
+});
+
 // @route   GET /api/bookings/upcoming/classes
 // @desc    Get upcoming classes
 // @access  Private
-router.get('/upcoming/classes', authenticate, async (req, res) => {
+router.get('/upcoming/classes', authenticate, loadProfile, async (req, res) => {
   try {
     let sql;
     let params;
 
-    if (req.user.role === 'student') {
-      const studentResult = await query(
-        'SELECT id FROM students WHERE user_id = $1',
-        [req.user.id]
-      );
-      const studentId = studentResult.rows[0].id;
-
+    if (req.student) {
       sql = `
         SELECT 
           b.*,
@@ -364,14 +1008,8 @@ router.get('/upcoming/classes', authenticate, async (req, res) => {
         WHERE b.student_id = $1 AND b.status = 'confirmed' AND b.scheduled_date > NOW()
         ORDER BY b.scheduled_date ASC
       `;
-      params = [studentId];
-    } else if (req.user.role === 'teacher') {
-      const teacherResult = await query(
-        'SELECT id FROM teachers WHERE user_id = $1',
-        [req.user.id]
-      );
-      const teacherId = teacherResult.rows[0].id;
-
+      params = [req.student.id];
+    } else if (req.teacher) {
       sql = `
         SELECT 
           b.*,
@@ -385,7 +1023,25 @@ router.get('/upcoming/classes', authenticate, async (req, res) => {
         WHERE b.teacher_id = $1 AND b.status = 'confirmed' AND b.scheduled_date > NOW()
         ORDER BY b.scheduled_date ASC
       `;
-      params = [teacherId];
+      params = [req.teacher.id];
+    } else if (req.user.role === 'parent') {
+      sql = `
+        SELECT 
+          b.*,
+          tu.name as teacher_name,
+          tu.profile_picture as teacher_picture,
+          su.name as student_name,
+          s.name as subject_name
+        FROM bookings b
+        JOIN teachers t ON b.teacher_id = t.id
+        JOIN users tu ON t.user_id = tu.id
+        JOIN students st ON b.student_id = st.id
+        JOIN users su ON st.user_id = su.id
+        JOIN subjects s ON b.subject_id = s.id
+        WHERE b.student_id = ANY($1::int[]) AND b.status = 'confirmed' AND b.scheduled_date > NOW()
+        ORDER BY b.scheduled_date ASC
+      `;
+      params = [req.linkedStudentIds];
     } else {
       return res.status(403).json({
         success: false,
@@ -398,7 +1054,7 @@ router.get('/upcoming/classes', authenticate, async (req, res) => {
     res.json({
       success: true,
       count: result.rows.length,
-      data: result.rows
+      data: result.rows.map((booking) => localizeBooking(booking, req.user.timezone))
     });
   } catch (error) {
     console.error('Get upcoming classes error:', error);
@@ -0,0 +1,257 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../models/database');
+const { authenticate, requireParent } = require('../middleware/auth');
+const { loadProfile } = require('../middleware/ownership');
+const {
+  notifyGuardianLinkRequested,
+  notifyGuardianLinkAnswered,
+  notifyGuardianLinkRevoked
+} = require('../services/notifications');
+
+const router = express.Router();
+
+// A parent whose request a student declined cannot ask again for this long
+const DECLINED_REQUEST_COOLDOWN_DAYS = 30;
+
+// @route   POST /api/guardians/links
+// @desc    Ask to be linked to a student account (the student must approve)
+// @access  Private/Parent
+router.post('/links', authenticate, requireParent, [
+  body('studentEmail').isEmail().normalizeEmail(),
+  body('relationship').optional().trim().isLength({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { studentEmail, relationship } = req.body;
+
+    // The response is the same whether or not a request was sent, so it
+    // cannot be used to find out which emails belong to students
+    const sent = {
+      success: true,
+      message: 'If a student account uses this email, a link request was sent. The student needs to approve it.'
+    };
+
+    const studentResult = await query(`
+      SELECT s.id
+      FROM students s
+      JOIN users u ON s.user_id = u.id
+      WHERE u.email = $1 AND u.is_active = true
+    `, [studentEmail]);
+
+    if (studentResult.rows.length === 0) {
+      return res.status(201).json(sent);
+    }
+
+    const student = studentResult.rows[0];
+
+    // Nothing new while a link is open or shortly after a decline
+    const existing = await query(`
+      SELECT 1 FROM guardian_links
+      WHERE parent_user_id = $1 AND student_id = $2
+        AND (status IN ('pending', 'active')
+          OR (status = 'declined' AND responded_at > NOW() - make_interval(days => $3)))
+      LIMIT 1
+    `, [req.user.id, student.id, DECLINED_REQUEST_COOLDOWN_DAYS]);
+
+    if (existing.rows.length > 0) {
+      return res.status(201).json(sent);
+    }
+
+    const result = await query(`
+      INSERT INTO guardian_links (parent_user_id, student_id, relationship)
+      VALUES ($1, $2, $3)
+      ON CONFLICT DO NOTHING
+      RETURNING id
+    `, [req.user.id, student.id, relationship || null]);
+
+    if (result.rows.length > 0) {
+      await notifyGuardianLinkRequested(result.rows[0].id);
+    }
+
+    res.status(201).json(sent);
+  } catch (error) {
+    console.error('Create guardian link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create link request'
+    });
+  }
+});
+
+// @route   GET /api/guardians/links
+// @desc    Get the caller's links (a parent's students or a student's parents)
+// @access  Private (parent or student)
+router.get('/links', authenticate, loadProfile, async (req, res) => {
+  try {
+    let result;
+
+    if (req.user.role === 'parent') {
+      result = await query(`
+        SELECT gl.*, u.name as student_name, u.email as student_email
+        FROM guardian_links gl
+        JOIN students s ON gl.student_id = s.id
+        JOIN users u ON s.user_id = u.id
+        WHERE gl.parent_user_id = $1 AND gl.status <> 'pending'
+        ORDER BY gl.created_at DESC
+      `, [req.user.id]);
+    } else if (req.student) {
+      result = await query(`
+        SELECT gl.*, u.name as parent_name, u.email as parent_email
+        FROM guardian_links gl
+        JOIN users u ON gl.parent_user_id = u.id
+        WHERE gl.student_id = $1
+        ORDER BY gl.created_at DESC
+      `, [req.student.id]);
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Parents and students only.'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get guardian links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get links'
+    });
+  }
+});
+
+// @route   PUT /api/guardians/links/:id
+// @desc    Approve or decline a pending link request
+// @access  Private/Student
+router.put('/links/:id', authenticate, loadProfile, [
+  body('action').isIn(['approve', 'decline'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (!req.student) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Student only.'
+      });
+    }
+
+    const status = req.body.action === 'approve' ? 'active' : 'declined';
+
+    const result = await query(`
+      UPDATE guardian_links
+      SET status = $1, responded_at = NOW()
+      WHERE id = $2 AND student_id = $3 AND status = 'pending'
+      RETURNING *
+    `, [status, req.params.id, req.student.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending link request not found'
+      });
+    }
+
+    const link = result.rows[0];
+    const approved = status === 'active';
+
+    await notifyGuardianLinkAnswered(link.id);
+
+    res.json({
+      success: true,
+      message: approved ? 'Link approved' : 'Link declined',
+      data: link
+    });
+  } catch (error) {
+    console.error('Answer guardian link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update link'
+    });
+  }
+});
+
+// @route   DELETE /api/guardians/links/:id
+// @desc    Remove a pending or active link (either side may do this)
+// @access  Private (parent or student of the link)
+router.delete('/links/:id', authenticate, loadProfile, async (req, res) => {
+  try {
+    const result = await query(`
+      UPDATE guardian_links
+      SET status = 'revoked', revoked_by = $2, revoked_at = NOW()
+      WHERE id = $1
+        AND status IN ('pending', 'active')
+        AND (parent_user_id = $2 OR student_id = $3)
+      RETURNING *
+    `, [req.params.id, req.user.id, req.student ? req.student.id : null]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Link not found'
+      });
+    }
+
+    await notifyGuardianLinkRevoked(result.rows[0].id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Link removed'
+    });
+  } catch (error) {
+    console.error('Remove guardian link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove link'
+    });
+  }
+});
+
+// @route   GET /api/guardians/students
+// @desc    Get the students the parent is actively linked to
+// @access  Private/Parent
+router.get('/students', authenticate, requireParent, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        s.id, u.name, u.email, u.profile_picture, u.timezone,
+        s.grade_level, s.location, gl.id as link_id, gl.relationship
+      FROM guardian_links gl
+      JOIN students s ON gl.student_id = s.id
+      JOIN users u ON s.user_id = u.id
+      WHERE gl.parent_user_id = $1 AND gl.status = 'active'
+      ORDER BY u.name
+    `, [req.user.id]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get linked students error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get linked students'
+    });
+  }
+});
+
+module.exports = router;
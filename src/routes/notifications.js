@@ -0,0 +1,128 @@
+const express = require('express');
+const { query } = require('../models/database');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get user's notifications (newest first)
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { unread } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    let sql = `
+      SELECT id, title, message, type, event, data, is_read, created_at
+      FROM notifications
+      WHERE user_id = $1
+    `;
+
+    if (unread === 'true') {
+      sql += ' AND is_read = false';
+    }
+
+    sql += ' ORDER BY created_at DESC, id DESC LIMIT $2 OFFSET $3';
+
+    const result = await query(sql, [req.user.id, limit, offset]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notifications'
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get number of unread notifications
+// @access  Private
+router.get('/unread-count', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND is_read = false',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        count: parseInt(result.rows[0].count)
+      }
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get unread count'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      'UPDATE notifications SET is_read = true WHERE user_id = $1 AND is_read = false',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        updated: result.rowCount
+      }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE notifications SET is_read = true
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, title, message, type, event, data, is_read, created_at`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,24 +1,24 @@
 const express = require('express');
 const { query, transaction } = require('../models/database');
-const { authenticate, requireStudent, requireAdmin } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { loadProfile, requireBookingAccess, requirePaymentAccess } = require('../middleware/ownership');
+const { transitionBookings, getPaymentUnitIds } = require('../services/bookingStatus');
+const { notifyPaymentReviewed, notifyBookingConfirmed } = require('../services/notifications');
+const { hasPermission } = require('../services/permissions');
+const { startCheckout, handleWebhook, formatCheckout } = require('../services/onlinePayments');
+const { applyCredit } = require('../services/refunds');
 
 const router = express.Router();
 
 // @route   GET /api/payments
 // @desc    Get user's payments
 // @access  Private
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, loadProfile, async (req, res) => {
   try {
     let sql;
     let params;
 
-    if (req.user.role === 'student') {
-      const studentResult = await query(
-        'SELECT id FROM students WHERE user_id = $1',
-        [req.user.id]
-      );
-      const studentId = studentResult.rows[0].id;
-
+    if (req.student) {
       sql = `
         SELECT 
           pp.*,
@@ -31,14 +31,8 @@ router.get('/', authenticate, async (req, res) => {
         WHERE b.student_id = $1
         ORDER BY pp.uploaded_at DESC
       `;
-      params = [studentId];
-    } else if (req.user.role === 'teacher') {
-      const teacherResult = await query(
-        'SELECT id FROM teachers WHERE user_id = $1',
-        [req.user.id]
-      );
-      const teacherId = teacherResult.rows[0].id;
-
+      params = [req.student.id];
+    } else if (req.teacher) {
       sql = `
         SELECT 
           pp.*,
@@ -51,8 +45,26 @@ router.get('/', authenticate, async (req, res) => {
         WHERE b.teacher_id = $1
         ORDER BY pp.uploaded_at DESC
       `;
-      params = [teacherId];
-    } else {
+      params = [req.teacher.id];
+    } else if (req.user.role === 'parent') {
+      sql = `
+        SELECT 
+          pp.*,
+          b.total_amount,
+          b.subject_id,
+          b.student_id,
+          su.name as student_name,
+          s.name as subject_name
+        FROM payment_proofs pp
+        JOIN bookings b ON pp.booking_id = b.id
+        JOIN subjects s ON b.subject_id = s.id
+        JOIN students st ON b.student_id = st.id
+        JOIN users su ON st.user_id = su.id
+        WHERE b.student_id = ANY($1::int[])
+        ORDER BY pp.uploaded_at DESC
+      `;
+      params = [req.linkedStudentIds];
+    } else if (hasPermission(req.user, 'payments:read_all')) {
       sql = `
         SELECT 
           pp.*,
@@ -65,6 +77,11 @@ router.get('/', authenticate, async (req, res) => {
         ORDER BY pp.uploaded_at DESC
       `;
       params = [];
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
     }
 
     const result = await query(sql, params);
@@ -86,18 +103,22 @@ router.get('/', authenticate, async (req, res) => {
 // @route   GET /api/payments/pending
 // @desc    Get pending payments (admin only)
 // @access  Private/Admin
-router.get('/pending', authenticate, requireAdmin, async (req, res) => {
+router.get('/pending', authenticate, requirePermission('payments:verify'), async (req, res) => {
   try {
     const result = await query(`
       SELECT 
         pp.*,
         b.total_amount,
+        b.credit_applied,
         b.subject_id,
+        b.series_id,
+        bs.total_amount as series_total_amount,
         s.name as subject_name,
         su.name as student_name,
         tu.name as teacher_name
       FROM payment_proofs pp
       JOIN bookings b ON pp.booking_id = b.id
+      LEFT JOIN booking_series bs ON b.series_id = bs.id
       JOIN subjects s ON b.subject_id = s.id
       JOIN students st ON b.student_id = st.id
       JOIN users su ON st.user_id = su.id
@@ -121,37 +142,62 @@ router.get('/pending', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/payments/:id
+// @desc    Get a payment proof
+// @access  Private (student or teacher of the booking, or staff)
+router.get('/:id', authenticate, requirePaymentAccess(), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        pp.*,
+        b.total_amount,
+        b.subject_id,
+        b.series_id,
+        b.status as booking_status,
+        s.name as subject_name
+      FROM payment_proofs pp
+      JOIN bookings b ON pp.booking_id = b.id
+      JOIN subjects s ON b.subject_id = s.id
+      WHERE pp.id = $1
+    `, [req.payment.id]);
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payment'
+    });
+  }
+});
+
 // @route   POST /api/payments
 // @desc    Upload payment proof
-// @access  Private/Student
-router.post('/', authenticate, requireStudent, async (req, res) => {
+// @access  Private (student of the booking or a linked parent)
+router.post('/', authenticate, requireBookingAccess({
+  param: 'bookingId',
+  source: 'body',
+  parties: ['student', 'guardian'],
+  permission: null
+}), async (req, res) => {
   try {
     const { bookingId, fileUrl, fileName } = req.body;
 
-    if (!bookingId || !fileUrl) {
+    if (!fileUrl) {
       return res.status(400).json({
         success: false,
         message: 'Booking ID and file URL are required'
       });
     }
 
-    // Get student ID
-    const studentResult = await query(
-      'SELECT id FROM students WHERE user_id = $1',
-      [req.user.id]
-    );
-    const studentId = studentResult.rows[0].id;
-
-    // Verify booking belongs to student
-    const bookingResult = await query(
-      'SELECT id FROM bookings WHERE id = $1 AND student_id = $2',
-      [bookingId, studentId]
-    );
-
-    if (bookingResult.rows.length === 0) {
-      return res.status(404).json({
+    if (!['pending_payment', 'payment_under_review'].includes(req.booking.status)) {
+      return res.status(409).json({
         success: false,
-        message: 'Booking not found'
+        code: 'INVALID_TRANSITION',
+        message: `Cannot submit payment for a booking that is ${req.booking.status}`
       });
     }
 
@@ -162,11 +208,12 @@ router.post('/', authenticate, requireStudent, async (req, res) => {
         VALUES ($1, $2, $3, 'pending')
       `, [bookingId, fileUrl, fileName || 'payment-proof']);
 
-      // Update booking status
-      await client.query(
-        "UPDATE bookings SET status = 'payment_under_review', updated_at = NOW() WHERE id = $1",
-        [bookingId]
-      );
+      // Update booking status (a series is paid as one unit)
+      const unitIds = await getPaymentUnitIds(client, bookingId);
+      await transitionBookings(client, unitIds, ['pending_payment'], 'payment_under_review', {
+        changedBy: req.user.id,
+        reason: 'Payment proof submitted'
+      });
     });
 
     res.status(201).json({
@@ -182,10 +229,111 @@ router.post('/', authenticate, requireStudent, async (req, res) => {
   }
 });
 
+// @route   POST /api/payments/checkout
+// @desc    Start an online checkout for a booking (or its whole series)
+// @access  Private (student of the booking or a linked parent)
+router.post('/checkout', authenticate, requireBookingAccess({
+  param: 'bookingId',
+  source: 'body',
+  parties: ['student', 'guardian'],
+  permission: null
+}), async (req, res) => {
+  try {
+    const result = await startCheckout(req.booking.id, req.user);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: formatCheckout(result.checkout)
+    });
+  } catch (error) {
+    console.error('Start checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start checkout'
+    });
+  }
+});
+
+// @route   POST /api/payments/credit
+// @desc    Pay for a booking (or its whole series) with the student's credit
+// @access  Private (student of the booking or a linked parent)
+router.post('/credit', authenticate, requireBookingAccess({
+  param: 'bookingId',
+  source: 'body',
+  parties: ['student', 'guardian'],
+  permission: null
+}), async (req, res) => {
+  try {
+    const result = await transaction((client) =>
+      applyCredit(client, req.booking.id, req.booking.student_id, req.user.id)
+    );
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    if (result.confirmed) {
+      await notifyBookingConfirmed(req.booking.id);
+    }
+
+    res.json({
+      success: true,
+      message: result.confirmed
+        ? 'Booking paid with credit and confirmed'
+        : 'Credit applied; the remaining amount still needs to be paid',
+      data: {
+        applied: result.applied,
+        outstanding: result.outstanding,
+        creditBalance: result.balance,
+        confirmed: result.confirmed
+      }
+    });
+  } catch (error) {
+    console.error('Apply credit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply credit'
+    });
+  }
+});
+
+// @route   POST /api/payments/webhook
+// @desc    Payment provider webhook (signed; body is kept raw by server.js)
+// @access  Public
+router.post('/webhook', async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || !(await handleWebhook(req.body, req.headers))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+});
+
 // @route   PUT /api/payments/:id/verify
 // @desc    Verify/reject payment (admin only)
 // @access  Private/Admin
-router.put('/:id/verify', authenticate, requireAdmin, async (req, res) => {
+router.put('/:id/verify', authenticate, requirePermission('payments:verify'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, notes } = req.body;
@@ -197,7 +345,7 @@ router.put('/:id/verify', authenticate, requireAdmin, async (req, res) => {
       });
     }
 
-    await transaction(async (client) => {
+    const reviewedBookingId = await transaction(async (client) => {
       // Update payment proof
       await client.query(`
         UPDATE payment_proofs 
@@ -213,14 +361,22 @@ router.put('/:id/verify', authenticate, requireAdmin, async (req, res) => {
 
       const bookingId = paymentResult.rows[0].booking_id;
 
-      // Update booking status
+      // Update booking status, including the rest of its series
       const newBookingStatus = status === 'approved' ? 'confirmed' : 'pending_payment';
-      await client.query(
-        'UPDATE bookings SET status = $1, updated_at = NOW() WHERE id = $2',
-        [newBookingStatus, bookingId]
-      );
+      const unitIds = await getPaymentUnitIds(client, bookingId);
+      await transitionBookings(client, unitIds, ['payment_under_review'], newBookingStatus, {
+        changedBy: req.user.id,
+        reason: `Payment ${status}${notes ? `: ${notes}` : ''}`
+      });
+
+      return bookingId;
     });
 
+    await notifyPaymentReviewed(reviewedBookingId, status, notes);
+    if (status === 'approved') {
+      await notifyBookingConfirmed(reviewedBookingId);
+    }
+
     res.json({
       success: true,
       message: `Payment ${status} successfully`
@@ -0,0 +1,352 @@
+const express = require('express');
+const { query, transaction } = require('../models/database');
+const { authenticate } = require('../middleware/auth');
+const { loadProfile, getParty } = require('../middleware/ownership');
+const { EARLY_START_MINUTES, MIN_ELAPSED_PERCENT } = require('../services/sessions');
+const { transitionBookings } = require('../services/bookingStatus');
+const { notifyClassStarting } = require('../services/notifications');
+const { hasPermission } = require('../services/permissions');
+const { formatInTimezone } = require('../utils/timezone');
+
+const router = express.Router();
+
+// Get a session together with the booking it belongs to
+const getSession = async (id) => {
+  const result = await query(`
+    SELECT
+      cs.*,
+      b.student_id, b.teacher_id, b.status as booking_status,
+      sub.name as subject_name,
+      tu.name as teacher_name,
+      su.name as student_name
+    FROM class_sessions cs
+    JOIN bookings b ON cs.booking_id = b.id
+    JOIN subjects sub ON b.subject_id = sub.id
+    JOIN teachers t ON b.teacher_id = t.id
+    JOIN users tu ON t.user_id = tu.id
+    JOIN students s ON b.student_id = s.id
+    JOIN users su ON s.user_id = su.id
+    WHERE cs.id = $1
+  `, [id]);
+  return result.rows[0] || null;
+};
+
+// Add the session time rendered in the viewer's timezone
+const localizeSession = (session, timezone) => ({
+  ...session,
+  timezone,
+  scheduled_at_local: formatInTimezone(session.scheduled_at, timezone)
+});
+
+// @route   GET /api/sessions
+// @desc    Get user's class sessions
+// @access  Private
+router.get('/', authenticate, loadProfile, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let sql = `
+      SELECT
+        cs.*,
+        b.student_id, b.teacher_id,
+        sub.name as subject_name,
+        tu.name as teacher_name,
+        su.name as student_name
+      FROM class_sessions cs
+      JOIN bookings b ON cs.booking_id = b.id
+      JOIN subjects sub ON b.subject_id = sub.id
+      JOIN teachers t ON b.teacher_id = t.id
+      JOIN users tu ON t.user_id = tu.id
+      JOIN students s ON b.student_id = s.id
+      JOIN users su ON s.user_id = su.id
+    `;
+    const params = [];
+    const conditions = [];
+
+    if (req.user.role === 'student') {
+      params.push(req.user.id);
+      conditions.push(`s.user_id = $${params.length}`);
+    } else if (req.user.role === 'teacher') {
+      params.push(req.user.id);
+      conditions.push(`t.user_id = $${params.length}`);
+    } else if (req.user.role === 'parent') {
+      // Sessions of the students the parent is actively linked to
+      params.push(req.linkedStudentIds);
+      conditions.push(`b.student_id = ANY($${params.length}::int[])`);
+    } else if (!hasPermission(req.user, 'sessions:read_all')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (status) {
+      params.push(status);
+      conditions.push(`cs.status = $${params.length}`);
+    }
+
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    sql += ' ORDER BY cs.scheduled_at ASC';
+
+    const result = await query(sql, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows.map((session) => localizeSession(session, req.user.timezone))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions'
+    });
+  }
+});
+
+// @route   GET /api/sessions/:id
+// @desc    Get session by ID
+// @access  Private
+router.get('/:id', authenticate, loadProfile, async (req, res) => {
+  try {
+    const session = await getSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (!hasPermission(req.user, 'sessions:read_all') && !getParty(req, session)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: localizeSession(session, req.user.timezone)
+    });
+  } catch (error) {
+    console.error('Get session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get session'
+    });
+  }
+});
+
+// @route   POST /api/sessions/:id/start
+// @desc    Start a class session
+// @access  Private/Teacher of the booking
+router.post('/:id/start', authenticate, loadProfile, async (req, res) => {
+  try {
+    const session = await getSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (getParty(req, session) !== 'teacher') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the teacher can start the session'
+      });
+    }
+
+    if (session.status !== 'scheduled' || session.booking_status !== 'confirmed') {
+      return res.status(409).json({
+        success: false,
+        message: `Session cannot be started while ${session.status}`
+      });
+    }
+
+    const earliestStart = new Date(session.scheduled_at).getTime() - EARLY_START_MINUTES * 60 * 1000;
+    if (Date.now() < earliestStart) {
+      return res.status(409).json({
+        success: false,
+        message: `Session can be started at most ${EARLY_START_MINUTES} minutes early`
+      });
+    }
+
+    const result = await query(`
+      UPDATE class_sessions
+      SET status = 'in_progress', started_at = NOW(),
+          teacher_joined_at = COALESCE(teacher_joined_at, NOW())
+      WHERE id = $1 AND status = 'scheduled'
+      RETURNING *
+    `, [session.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Session was already started'
+      });
+    }
+
+    await notifyClassStarting(session.booking_id);
+
+    res.json({
+      success: true,
+      message: 'Session started',
+      data: localizeSession(result.rows[0], req.user.timezone)
+    });
+  } catch (error) {
+    console.error('Start session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start session'
+    });
+  }
+});
+
+// @route   POST /api/sessions/:id/join
+// @desc    Record that a participant joined the session
+// @access  Private (student or teacher of the booking)
+router.post('/:id/join', authenticate, loadProfile, async (req, res) => {
+  try {
+    const session = await getSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const party = getParty(req, session);
+    if (party !== 'student' && party !== 'teacher') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (session.status !== 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        message: 'Session has not started yet'
+      });
+    }
+
+    // Keep the first join time
+    const column = party === 'teacher' ? 'teacher_joined_at' : 'student_joined_at';
+    const result = await query(
+      `UPDATE class_sessions SET ${column} = COALESCE(${column}, NOW())
+       WHERE id = $1
+       RETURNING *`,
+      [session.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Joined session',
+      data: localizeSession(result.rows[0], req.user.timezone)
+    });
+  } catch (error) {
+    console.error('Join session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join session'
+    });
+  }
+});
+
+// @route   POST /api/sessions/:id/end
+// @desc    End a class session and complete its booking
+// @access  Private/Teacher of the booking
+router.post('/:id/end', authenticate, loadProfile, async (req, res) => {
+  try {
+    const { notes, recordingUrl } = req.body;
+    const session = await getSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (getParty(req, session) !== 'teacher') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the teacher can end the session'
+      });
+    }
+
+    // Ending completes the booking and pays the teacher, so the class must
+    // have run for a fair part of its length
+    const earliestEnd = new Date(session.scheduled_at).getTime() +
+      (session.duration * MIN_ELAPSED_PERCENT / 100) * 60 * 1000;
+    if (Date.now() < earliestEnd) {
+      return res.status(409).json({
+        success: false,
+        message: `Session can be ended once ${MIN_ELAPSED_PERCENT}% of the lesson time has passed`
+      });
+    }
+
+    const result = await transaction(async (client) => {
+      // The booking must still be confirmed for the class to count
+      const bookingResult = await client.query(
+        'SELECT status FROM bookings WHERE id = $1 FOR UPDATE',
+        [session.booking_id]
+      );
+      if (!bookingResult.rows[0] || bookingResult.rows[0].status !== 'confirmed') {
+        return { error: 'The booking of this session is no longer confirmed' };
+      }
+
+      const sessionResult = await client.query(`
+        UPDATE class_sessions
+        SET status = 'completed', ended_at = NOW(),
+            notes = COALESCE($2, notes),
+            recording_url = COALESCE($3, recording_url)
+        WHERE id = $1 AND status = 'in_progress'
+        RETURNING *
+      `, [session.id, notes || null, recordingUrl || null]);
+
+      if (sessionResult.rows.length === 0) {
+        return { error: 'Only a session in progress can be ended' };
+      }
+
+      // The booking is completed because the class actually took place
+      const completed = await transitionBookings(client, [session.booking_id], ['confirmed'], 'completed', {
+        changedBy: req.user.id,
+        reason: 'Class session ended'
+      });
+      if (completed.length === 0) {
+        throw new Error(`Booking ${session.booking_id} could not be completed`);
+      }
+
+      return { session: sessionResult.rows[0] };
+    });
+
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session ended',
+      data: localizeSession(result.session, req.user.timezone)
+    });
+  } catch (error) {
+    console.error('End session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end session'
+    });
+  }
+});
+
+module.exports = router;
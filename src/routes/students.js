@@ -1,6 +1,8 @@
 const express = require('express');
 const { query } = require('../models/database');
-const { authenticate, requireStudent, requireAdmin } = require('../middleware/auth');
+const { authenticate, requireStudent, requirePermission } = require('../middleware/auth');
+const { loadStudent } = require('../middleware/ownership');
+const { PAID_BOOKING_SQL, REFUNDED_SQL, getCreditBalance } = require('../services/refunds');
 
 const router = express.Router();
 
@@ -11,7 +13,7 @@ router.get('/profile', authenticate, requireStudent, async (req, res) => {
   try {
     const result = await query(`
       SELECT 
-        s.id, s.user_id, u.name, u.email, u.profile_picture,
+        s.id, s.user_id, u.name, u.email, u.profile_picture, u.timezone,
         s.grade_level, s.parent_contact, s.location
       FROM students s
       JOIN users u ON s.user_id = u.id
@@ -192,12 +194,15 @@ router.get('/stats', authenticate, requireStudent, async (req, res) => {
       [studentId]
     );
 
+    // Paid bookings less what was refunded
     const totalSpent = await query(
-      `SELECT COALESCE(SUM(total_amount), 0) FROM bookings 
-       WHERE student_id = $1 AND status IN ('confirmed', 'completed')`,
+      `SELECT COALESCE(SUM(b.total_amount - ${REFUNDED_SQL}), 0) FROM bookings b
+       WHERE b.student_id = $1 AND ${PAID_BOOKING_SQL}`,
       [studentId]
     );
 
+    const creditBalance = await getCreditBalance({ query }, studentId);
+
     const favoriteTeachers = await query(`
       SELECT COUNT(DISTINCT teacher_id) FROM bookings 
       WHERE student_id = $1 AND status IN ('confirmed', 'completed')
@@ -210,6 +215,7 @@ router.get('/stats', authenticate, requireStudent, async (req, res) => {
         upcomingClasses: parseInt(upcomingClasses.rows[0].count),
         completedClasses: parseInt(completedClasses.rows[0].count),
         totalSpent: parseFloat(totalSpent.rows[0].coalesce),
+        creditBalance,
         favoriteTeachers: parseInt(favoriteTeachers.rows[0].count)
       }
     });
@@ -222,10 +228,71 @@ router.get('/stats', authenticate, requireStudent, async (req, res) => {
   }
 });
 
+// @route   GET /api/students/credits
+// @desc    Get credit balance and credit history
+// @access  Private/Student
+router.get('/credits', authenticate, requireStudent, loadStudent, async (req, res) => {
+  try {
+    const balance = await getCreditBalance({ query }, req.student.id);
+
+    const result = await query(`
+      SELECT ct.id, ct.amount, ct.type, ct.refund_id, ct.booking_id, ct.note, ct.created_at
+      FROM credit_transactions ct
+      WHERE ct.student_id = $1
+      ORDER BY ct.created_at DESC, ct.id DESC
+    `, [req.student.id]);
+
+    res.json({
+      success: true,
+      data: {
+        balance,
+        transactions: result.rows
+      }
+    });
+  } catch (error) {
+    console.error('Get credits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get credits'
+    });
+  }
+});
+
+// @route   GET /api/students/refunds
+// @desc    Get refunds on my bookings
+// @access  Private/Student
+router.get('/refunds', authenticate, requireStudent, loadStudent, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        r.id, r.booking_id, r.amount, r.refund_type, r.method, r.status,
+        r.reason, r.review_notes, r.reviewed_at, r.created_at,
+        s.name as subject_name, b.scheduled_date
+      FROM refunds r
+      JOIN bookings b ON r.booking_id = b.id
+      JOIN subjects s ON b.subject_id = s.id
+      WHERE r.student_id = $1
+      ORDER BY r.created_at DESC
+    `, [req.student.id]);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get refunds'
+    });
+  }
+});
+
 // @route   GET /api/students/all
 // @desc    Get all students (admin only)
 // @access  Private/Admin
-router.get('/all', authenticate, requireAdmin, async (req, res) => {
+router.get('/all', authenticate, requirePermission('students:read_all'), async (req, res) => {
   try {
     const result = await query(`
       SELECT 
@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query, transaction } = require('../models/database');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -51,7 +51,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/subjects/all
 // @desc    Get all subjects (including inactive) - Admin only
 // @access  Private/Admin
-router.get('/all', authenticate, requireAdmin, async (req, res) => {
+router.get('/all', authenticate, requirePermission('subjects:manage'), async (req, res) => {
   try {
     const result = await query(`
       SELECT 
@@ -180,7 +180,7 @@ router.get('/:id/price', async (req, res) => {
 // @route   POST /api/subjects
 // @desc    Create new subject with pricing - Admin only
 // @access  Private/Admin
-router.post('/', authenticate, requireAdmin, [
+router.post('/', authenticate, requirePermission('subjects:manage'), [
   body('name').trim().isLength({ min: 2 }),
   body('description').optional().trim(),
   body('pricingTiers').isArray({ min: 1 })
@@ -236,7 +236,7 @@ router.post('/', authenticate, requireAdmin, [
 // @route   PUT /api/subjects/:id
 // @desc    Update subject - Admin only
 // @access  Private/Admin
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('subjects:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, description, image, isActive } = req.body;
@@ -309,7 +309,7 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
 // @route   PUT /api/subjects/:id/pricing
 // @desc    Update pricing tiers for a subject - Admin only
 // @access  Private/Admin
-router.put('/:id/pricing', authenticate, requireAdmin, async (req, res) => {
+router.put('/:id/pricing', authenticate, requirePermission('subjects:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { pricingTiers } = req.body;
@@ -361,7 +361,7 @@ router.put('/:id/pricing', authenticate, requireAdmin, async (req, res) => {
 // @route   DELETE /api/subjects/:id
 // @desc    Delete subject (soft delete by setting inactive) - Admin only
 // @access  Private/Admin
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('subjects:manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
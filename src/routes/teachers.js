@@ -1,10 +1,17 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query, transaction } = require('../models/database');
-const { authenticate, requireTeacher, requireAdmin } = require('../middleware/auth');
+const { authenticate, requireTeacher, requirePermission, isEmailVerificationRequired } = require('../middleware/auth');
+const { loadTeacher, requireDocumentsAccess } = require('../middleware/ownership');
+const { getAvailableSlots } = require('../services/scheduling');
+const { notifyTeacherVerified } = require('../services/notifications');
+const { getDefaultCommissionPercent, getTeacherPayableBalance } = require('../services/earnings');
 
 const router = express.Router();
 
+// Longest range the slots endpoint will expand in one request
+const MAX_SLOT_RANGE_DAYS = 31;
+
 // @route   GET /api/teachers
 // @desc    Get all live teachers
 // @access  Public
@@ -25,6 +32,10 @@ router.get('/', async (req, res) => {
       WHERE t.is_live = true AND t.verification_status = 'approved'
     `;
 
+    if (isEmailVerificationRequired()) {
+      sql += ' AND u.email_verified = true';
+    }
+
     const params = [];
     let paramCount = 1;
 
@@ -61,7 +72,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/teachers/all
 // @desc    Get all teachers (admin only)
 // @access  Private/Admin
-router.get('/all', authenticate, requireAdmin, async (req, res) => {
+router.get('/all', authenticate, requirePermission('teachers:read_all'), async (req, res) => {
   try {
     const result = await query(`
       SELECT 
@@ -98,7 +109,7 @@ router.get('/profile', authenticate, requireTeacher, async (req, res) => {
   try {
     const result = await query(`
       SELECT 
-        t.id, t.user_id, u.name, u.email, u.profile_picture,
+        t.id, t.user_id, u.name, u.email, u.profile_picture, u.timezone,
         t.bio, t.verification_status, t.is_live, t.meeting_link,
         ARRAY_AGG(DISTINCT jsonb_build_object(
           'id', s.id,
@@ -148,6 +159,90 @@ router.get('/profile', authenticate, requireTeacher, async (req, res) => {
   }
 });
 
+// @route   GET /api/teachers/earnings
+// @desc    Earnings statement: totals, earnings per completed booking and payouts
+// @access  Private/Teacher
+router.get('/earnings', authenticate, requireTeacher, loadTeacher, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const teacherId = req.teacher.id;
+
+    let dateFilter = '';
+    const params = [teacherId];
+
+    if (from && to) {
+      dateFilter = 'AND e.created_at BETWEEN $2 AND $3';
+      params.push(from, to);
+    }
+
+    const earnings = await query(`
+      SELECT
+        e.id, e.booking_id, e.gross_amount, e.commission_percent, e.commission_amount,
+        e.teacher_amount, e.refund_id, e.created_at,
+        b.scheduled_date, b.duration, s.name as subject_name, su.name as student_name,
+        tp.id as payout_id, tp.status as payout_status, tp.reference as payout_reference, tp.paid_at
+      FROM teacher_earnings e
+      JOIN bookings b ON e.booking_id = b.id
+      JOIN subjects s ON b.subject_id = s.id
+      JOIN students st ON b.student_id = st.id
+      JOIN users su ON st.user_id = su.id
+      LEFT JOIN teacher_payouts tp ON e.teacher_payout_id = tp.id
+      WHERE e.teacher_id = $1
+      ${dateFilter}
+      ORDER BY e.created_at DESC
+    `, params);
+
+    const totals = await query(`
+      SELECT
+        COALESCE(SUM(e.gross_amount), 0) as gross,
+        COALESCE(SUM(e.commission_amount), 0) as commission,
+        COALESCE(SUM(e.teacher_amount), 0) as earned,
+        COALESCE(SUM(e.teacher_amount) FILTER (WHERE tp.status = 'paid'), 0) as paid,
+        COALESCE(SUM(e.teacher_amount) FILTER (WHERE tp.status = 'pending'), 0) as in_payout
+      FROM teacher_earnings e
+      LEFT JOIN teacher_payouts tp ON e.teacher_payout_id = tp.id
+      WHERE e.teacher_id = $1
+      ${dateFilter}
+    `, params);
+
+    const payouts = await query(`
+      SELECT tp.id, tp.payout_run_id, tp.amount, tp.status, tp.reference, tp.paid_at, pr.period_end
+      FROM teacher_payouts tp
+      JOIN payout_runs pr ON tp.payout_run_id = pr.id
+      WHERE tp.teacher_id = $1 AND tp.status <> 'cancelled'
+      ORDER BY tp.created_at DESC
+    `, [teacherId]);
+
+    const summary = totals.rows[0];
+    res.json({
+      success: true,
+      data: {
+        commissionPercent: req.teacher.commission_percent !== null
+          ? parseFloat(req.teacher.commission_percent)
+          : getDefaultCommissionPercent(),
+        // Everything owed and not yet paid, regardless of the date filter
+        balanceOwed: await getTeacherPayableBalance({ query }, teacherId),
+        totals: {
+          gross: parseFloat(summary.gross),
+          commission: parseFloat(summary.commission),
+          earned: parseFloat(summary.earned),
+          paid: parseFloat(summary.paid),
+          inPayout: parseFloat(summary.in_payout),
+          unpaid: Math.round((parseFloat(summary.earned) - parseFloat(summary.paid) - parseFloat(summary.in_payout)) * 100) / 100
+        },
+        earnings: earnings.rows,
+        payouts: payouts.rows
+      }
+    });
+  } catch (error) {
+    console.error('Get earnings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get earnings'
+    });
+  }
+});
+
 // @route   GET /api/teachers/:id
 // @desc    Get teacher by ID
 // @access  Public
@@ -157,7 +252,7 @@ router.get('/:id', async (req, res) => {
 
     const result = await query(`
       SELECT 
-        t.id, t.user_id, u.name, u.email, u.profile_picture,
+        t.id, t.user_id, u.name, u.email, u.profile_picture, u.timezone,
         t.bio, t.verification_status, t.is_live, t.meeting_link,
         ARRAY_AGG(DISTINCT jsonb_build_object(
           'id', s.id,
@@ -168,8 +263,9 @@ router.get('/:id', async (req, res) => {
       LEFT JOIN teacher_subjects ts ON t.id = ts.teacher_id
       LEFT JOIN subjects s ON ts.subject_id = s.id
       WHERE t.id = $1 AND t.is_live = true
+        AND (u.email_verified = true OR NOT $2)
       GROUP BY t.id, u.id
-    `, [id]);
+    `, [id, isEmailVerificationRequired()]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -200,6 +296,69 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/teachers/:id/slots
+// @desc    Get open booking slots for a teacher over a date range
+// @access  Public
+router.get('/:id/slots', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+    const duration = req.query.duration ? parseInt(req.query.duration, 10) : 60;
+
+    if (!from || !to || isNaN(Date.parse(from)) || isNaN(Date.parse(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid from and to dates are required'
+      });
+    }
+
+    const rangeDays = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000);
+    if (rangeDays < 0 || rangeDays > MAX_SLOT_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range must be between 0 and ${MAX_SLOT_RANGE_DAYS} days`
+      });
+    }
+
+    if (isNaN(duration) || duration < 30 || duration > 240) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duration must be between 30 and 240 minutes'
+      });
+    }
+
+    const teacherResult = await query(`
+      SELECT t.id, u.timezone
+      FROM teachers t
+      JOIN users u ON t.user_id = u.id
+      WHERE t.id = $1 AND t.is_live = true AND t.verification_status = 'approved'
+        AND (u.email_verified = true OR NOT $2)
+    `, [id, isEmailVerificationRequired()]);
+
+    if (teacherResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teacher not found'
+      });
+    }
+
+    const slots = await getAvailableSlots({ query }, id, from, to, duration);
+
+    res.json({
+      success: true,
+      count: slots.length,
+      timezone: teacherResult.rows[0].timezone,
+      data: slots
+    });
+  } catch (error) {
+    console.error('Get teacher slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get available slots'
+    });
+  }
+});
+
 // @route   PUT /api/teachers/profile
 // @desc    Update teacher profile
 // @access  Private/Teacher
@@ -328,7 +487,7 @@ router.put('/availability', authenticate, requireTeacher, async (req, res) => {
 // @route   PUT /api/teachers/:id/verify
 // @desc    Verify/reject teacher - Admin only
 // @access  Private/Admin
-router.put('/:id/verify', authenticate, requireAdmin, async (req, res) => {
+router.put('/:id/verify', authenticate, requirePermission('teachers:verify'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, notes } = req.body;
@@ -358,6 +517,8 @@ router.put('/:id/verify', authenticate, requireAdmin, async (req, res) => {
       });
     }
 
+    await notifyTeacherVerified(id, status, notes);
+
     res.json({
       success: true,
       message: `Teacher ${status} successfully`,
@@ -372,32 +533,62 @@ router.put('/:id/verify', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
-// @route   GET /api/teachers/:id/documents
-// @desc    Get teacher documents
-// @access  Private/Admin or Owner
-router.get('/:id/documents', authenticate, async (req, res) => {
+// @route   PUT /api/teachers/:id/commission
+// @desc    Set a teacher's commission rate (null returns them to the default)
+// @access  Private/Admin
+router.put('/:id/commission', authenticate, requirePermission('payouts:manage'), [
+  body('commissionPercent').custom((value) =>
+    value === null || (typeof value === 'number' && value >= 0 && value <= 100)
+  ).withMessage('Commission must be a number between 0 and 100, or null')
+], async (req, res) => {
   try {
-    const { id } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
-    // Check if user is admin or the teacher themselves
-    const teacherResult = await query(
-      'SELECT user_id FROM teachers WHERE id = $1',
-      [id]
+    const result = await query(
+      `UPDATE teachers SET commission_percent = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING id, commission_percent`,
+      [req.body.commissionPercent, req.params.id]
     );
 
-    if (teacherResult.rows.length === 0) {
+    if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
         message: 'Teacher not found'
       });
     }
 
-    if (req.user.role !== 'admin' && teacherResult.rows[0].user_id !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
+    res.json({
+      success: true,
+      message: 'Commission updated',
+      data: {
+        ...result.rows[0],
+        effectiveCommissionPercent: result.rows[0].commission_percent !== null
+          ? parseFloat(result.rows[0].commission_percent)
+          : getDefaultCommissionPercent()
+      }
+    });
+  } catch (error) {
+    console.error('Update commission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update commission'
+    });
+  }
+});
+
+// @route   GET /api/teachers/:id/documents
+// @desc    Get teacher documents
+// @access  Private/Admin or Owner
+router.get('/:id/documents', authenticate, requireDocumentsAccess(), async (req, res) => {
+  try {
+    const { id } = req.params;
 
     const result = await query(
       'SELECT id, type, file_url, file_name, uploaded_at FROM documents WHERE teacher_id = $1',
@@ -0,0 +1,222 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../models/database');
+const { authenticate } = require('../middleware/auth');
+const {
+  isTwoFactorRequired,
+  beginEnrollment,
+  completeEnrollment,
+  regenerateBackupCodes,
+  verifySecondFactor,
+  disableTwoFactor
+} = require('../services/twoFactor');
+
+const router = express.Router();
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor status
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT COUNT(*) FROM two_factor_backup_codes WHERE user_id = $1 AND used_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        enabled: req.user.two_factor_enabled,
+        required: await isTwoFactorRequired(req.user),
+        backupCodesRemaining: parseInt(result.rows[0].count)
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: get a secret and otpauth URI for an authenticator app
+// @access  Private
+router.post('/setup', authenticate, async (req, res) => {
+  try {
+    if (req.user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await beginEnrollment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code; returns backup codes once
+// @access  Private
+router.post('/enable', authenticate, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const backupCodes = await completeEnrollment(req.user.id, req.body.code);
+
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace backup codes
+// @access  Private
+router.post('/backup-codes', authenticate, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const backupCodes = await transaction(async (client) => {
+      if (!(await verifySecondFactor(client, req.user.id, req.body.code))) {
+        return null;
+      }
+      return regenerateBackupCodes(client, req.user.id);
+    });
+
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('2FA backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate backup codes'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/disable', authenticate, [
+  body('password').exists(),
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for this account'
+      });
+    }
+
+    const { password, code } = req.body;
+
+    const userResult = await query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    const isMatch = await bcrypt.compare(password, userResult.rows[0].password_hash);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const disabled = await transaction(async (client) => {
+      if (!(await verifySecondFactor(client, req.user.id, code))) {
+        return false;
+      }
+      await disableTwoFactor(client, req.user.id);
+      return true;
+    });
+
+    if (!disabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const { authenticate } = require('../middleware/auth');
+const { loadTeacher, requireBookingAccess, requireUploadAccess } = require('../middleware/ownership');
 const { query } = require('../models/database');
 
 const router = express.Router();
@@ -83,7 +84,7 @@ router.post('/profile-picture', authenticate, upload.single('file'), async (req,
 // @route   POST /api/upload/document
 // @desc    Upload teacher document (degree, certificate, ID)
 // @access  Private/Teacher
-router.post('/document', authenticate, upload.single('file'), async (req, res) => {
+router.post('/document', authenticate, loadTeacher, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -101,20 +102,7 @@ router.post('/document', authenticate, upload.single('file'), async (req, res) =
       });
     }
 
-    // Get teacher ID
-    const teacherResult = await query(
-      'SELECT id FROM teachers WHERE user_id = $1',
-      [req.user.id]
-    );
-
-    if (teacherResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Teacher not found'
-      });
-    }
-
-    const teacherId = teacherResult.rows[0].id;
+    const teacherId = req.teacher.id;
 
     // Convert buffer to base64
     const base64String = req.file.buffer.toString('base64');
@@ -151,8 +139,13 @@ router.post('/document', authenticate, upload.single('file'), async (req, res) =
 
 // @route   POST /api/upload/payment-proof
 // @desc    Upload payment proof
-// @access  Private/Student
-router.post('/payment-proof', authenticate, upload.single('file'), async (req, res) => {
+// @access  Private (student of the booking or a linked parent)
+router.post('/payment-proof', authenticate, upload.single('file'), requireBookingAccess({
+  param: 'bookingId',
+  source: 'body',
+  parties: ['student', 'guardian'],
+  permission: null
+}), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -161,33 +154,7 @@ router.post('/payment-proof', authenticate, upload.single('file'), async (req, r
       });
     }
 
-    const { bookingId } = req.body;
-
-    if (!bookingId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Booking ID is required'
-      });
-    }
-
-    // Verify booking belongs to student
-    const studentResult = await query(
-      'SELECT id FROM students WHERE user_id = $1',
-      [req.user.id]
-    );
-    const studentId = studentResult.rows[0].id;
-
-    const bookingResult = await query(
-      'SELECT id FROM bookings WHERE id = $1 AND student_id = $2',
-      [bookingId, studentId]
-    );
-
-    if (bookingResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found'
-      });
-    }
+    const bookingId = req.booking.id;
 
     // Convert buffer to base64
     const base64String = req.file.buffer.toString('base64');
@@ -220,7 +187,7 @@ router.post('/payment-proof', authenticate, upload.single('file'), async (req, r
 // @route   DELETE /api/upload/:publicId
 // @desc    Delete uploaded file
 // @access  Private
-router.delete('/:publicId', authenticate, async (req, res) => {
+router.delete('/:publicId', authenticate, requireUploadAccess(), async (req, res) => {
   try {
     const { publicId } = req.params;
 
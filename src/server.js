@@ -7,16 +7,23 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const { connectDB } = require('./models/database');
+const { startEmailWorker } = require('./services/email');
+const { startJobScheduler } = require('./services/jobs');
+const { getProvider } = require('./services/onlinePayments');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const teacherRoutes = require('./routes/teachers');
 const studentRoutes = require('./routes/students');
+const guardianRoutes = require('./routes/guardians');
 const bookingRoutes = require('./routes/bookings');
 const paymentRoutes = require('./routes/payments');
 const adminRoutes = require('./routes/admin');
 const subjectRoutes = require('./routes/subjects');
 const uploadRoutes = require('./routes/upload');
+const sessionRoutes = require('./routes/sessions');
+const notificationRoutes = require('./routes/notifications');
 
 // Initialize Express app
 const app = express();
@@ -39,11 +46,15 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Provider webhooks come from a few shared IPs and are signed
+  skip: (req) => req.originalUrl.startsWith('/api/payments/webhook')
 });
 app.use('/api/', limiter);
 
 // Body parsing middleware
+// Payment webhooks are verified against the exact bytes received
+app.use('/api/payments/webhook', express.raw({ type: '*/*', limit: '1mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -67,14 +78,18 @@ app.get('/api/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/teachers', teacherRoutes);
 app.use('/api/students', studentRoutes);
+app.use('/api/guardians', guardianRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/subjects', subjectRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Static files for uploads (in development)
 if (process.env.NODE_ENV === 'development') {
@@ -118,9 +133,18 @@ app.use((err, req, res, next) => {
 // Start server
 const startServer = async () => {
   try {
+    // Build the payment provider now so a bad configuration stops startup
+    getProvider();
+
     // Connect to database
     await connectDB();
     console.log('✅ Database connected successfully');
+
+    // Retry emails left in the outbox
+    startEmailWorker();
+
+    // Run scheduled jobs (class reminders)
+    startJobScheduler();
     
     // Start listening
     app.listen(PORT, () => {
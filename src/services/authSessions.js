@@ -0,0 +1,180 @@
+// Login sessions. Each login opens a session and returns a short-lived
+// access token (a JWT carrying the session id) plus a refresh token stored
+// server-side as a hash. Refreshing rotates the refresh token; presenting an
+// already-rotated one means it was stolen or replayed, so the whole session
+// is revoked.
+
+const jwt = require('jsonwebtoken');
+const { query, transaction } = require('../models/database');
+const { hashToken, createOneTimeToken } = require('../utils/tokens');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || '15m';
+
+// last_used_at is only written when it is older than this, so that
+// authenticated requests do not each cost an UPDATE
+const LAST_USED_RESOLUTION_MINUTES = 5;
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '30', 10);
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRE }
+);
+
+// Add a refresh token to a session
+const issueRefreshToken = async (db, sessionId) => {
+  const { token, tokenHash } = createOneTimeToken();
+  await db.query(`
+    INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+    VALUES ($1, $2, NOW() + $3::int * INTERVAL '1 day')
+  `, [sessionId, tokenHash, REFRESH_TOKEN_EXPIRE_DAYS]);
+  return token;
+};
+
+// Device details of a request
+const getClientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500) || null,
+  ipAddress: req.ip || null
+});
+
+// Open a session for a user who just signed in
+const createSession = async (userId, { userAgent = null, ipAddress = null } = {}) => {
+  return transaction(async (client) => {
+    const sessionResult = await client.query(
+      'INSERT INTO auth_sessions (user_id, user_agent, ip_address) VALUES ($1, $2, $3) RETURNING id',
+      [userId, userAgent, ipAddress]
+    );
+    const sessionId = sessionResult.rows[0].id;
+    const refreshToken = await issueRefreshToken(client, sessionId);
+
+    return {
+      sessionId,
+      token: signAccessToken(userId, sessionId),
+      refreshToken
+    };
+  });
+};
+
+// Exchange a refresh token for a new token pair. Returns null when the token
+// is unknown, expired, or was already used (which revokes its session).
+const refreshSession = async (refreshToken, { userAgent = null, ipAddress = null } = {}) => {
+  const outcome = await transaction(async (client) => {
+    const tokenResult = await client.query(`
+      SELECT rt.id, rt.session_id, rt.replaced_at, rt.expires_at <= NOW() as expired,
+             s.user_id, s.revoked_at
+      FROM refresh_tokens rt
+      JOIN auth_sessions s ON rt.session_id = s.id
+      WHERE rt.token_hash = $1
+      FOR UPDATE OF rt, s
+    `, [hashToken(refreshToken)]);
+
+    const current = tokenResult.rows[0];
+    if (!current || current.revoked_at || current.expired) {
+      return null;
+    }
+
+    // Reuse of a rotated token: revoke the whole session
+    if (current.replaced_at) {
+      await client.query(
+        "UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'token_reuse' WHERE id = $1",
+        [current.session_id]
+      );
+      return { reused: true, sessionId: current.session_id };
+    }
+
+    await client.query(
+      'UPDATE refresh_tokens SET replaced_at = NOW() WHERE id = $1',
+      [current.id]
+    );
+    await client.query(`
+      UPDATE auth_sessions
+      SET last_used_at = NOW(),
+          ip_address = COALESCE($2, ip_address),
+          user_agent = COALESCE($3, user_agent)
+      WHERE id = $1
+    `, [current.session_id, ipAddress, userAgent]);
+    const newRefreshToken = await issueRefreshToken(client, current.session_id);
+
+    return {
+      userId: current.user_id,
+      sessionId: current.session_id,
+      token: signAccessToken(current.user_id, current.session_id),
+      refreshToken: newRefreshToken
+    };
+  });
+
+  if (outcome && outcome.reused) {
+    console.warn(`Refresh token reuse detected, session ${outcome.sessionId} revoked`);
+    return null;
+  }
+  return outcome;
+};
+
+// Revoke the session a refresh token belongs to (logout)
+const revokeSessionByRefreshToken = async (refreshToken, reason = 'logout') => {
+  const result = await query(`
+    UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $2
+    WHERE revoked_at IS NULL
+      AND id = (SELECT session_id FROM refresh_tokens WHERE token_hash = $1)
+    RETURNING id
+  `, [hashToken(refreshToken), reason]);
+  return result.rows.length > 0;
+};
+
+// Record activity on a session
+const touchSession = async (sessionId) => {
+  await query(`
+    UPDATE auth_sessions SET last_used_at = NOW()
+    WHERE id = $1 AND last_used_at < NOW() - $2::int * INTERVAL '1 minute'
+  `, [sessionId, LAST_USED_RESOLUTION_MINUTES]);
+};
+
+// Active sessions of a user, most recently used first
+const listUserSessions = async (userId) => {
+  const result = await query(`
+    SELECT id, user_agent, ip_address, created_at, last_used_at
+    FROM auth_sessions
+    WHERE user_id = $1 AND revoked_at IS NULL
+      AND EXISTS (
+        SELECT 1 FROM refresh_tokens rt
+        WHERE rt.session_id = auth_sessions.id AND rt.replaced_at IS NULL AND rt.expires_at > NOW()
+      )
+    ORDER BY last_used_at DESC
+  `, [userId]);
+  return result.rows;
+};
+
+// Revoke one session of a user. Returns false if it is not theirs or
+// already revoked.
+const revokeUserSession = async (userId, sessionId, reason = 'revoked') => {
+  const result = await query(`
+    UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $3
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    RETURNING id
+  `, [sessionId, userId, reason]);
+  return result.rows.length > 0;
+};
+
+// Revoke every open session of a user, optionally keeping one
+const revokeUserSessions = async (db, userId, { reason, exceptSessionId = null } = {}) => {
+  const result = await db.query(`
+    UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $2
+    WHERE user_id = $1 AND revoked_at IS NULL
+      AND ($3::int IS NULL OR id <> $3::int)
+    RETURNING id
+  `, [userId, reason, exceptSessionId]);
+  return result.rows.length;
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRE,
+  REFRESH_TOKEN_EXPIRE_DAYS,
+  getClientInfo,
+  createSession,
+  refreshSession,
+  touchSession,
+  listUserSessions,
+  revokeUserSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions
+};
@@ -0,0 +1,124 @@
+// Booking status state machine and transition history.
+// Like the scheduling helpers, every function takes a `db` argument
+// exposing `query(text, params)` (pool helper or transaction client).
+
+const { createSessionsForBookings, cancelSessionsForBookings } = require('./sessions');
+const { scheduleClassReminders, cancelClassReminders } = require('./reminders');
+const { recordEarnings } = require('./earnings');
+const { issueInvoices } = require('./invoices');
+
+const BOOKING_STATUSES = ['pending_payment', 'payment_under_review', 'confirmed', 'completed', 'cancelled'];
+
+// Legal transitions from each status
+const TRANSITIONS = {
+  pending_payment: ['payment_under_review', 'confirmed', 'cancelled'],
+  payment_under_review: ['confirmed', 'pending_payment', 'cancelled'],
+  confirmed: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Target statuses each party may set by hand through the status route.
+// Payment-driven transitions are made by the payment routes themselves and
+// `completed` only ever follows from a class session being ended.
+const ACTOR_TARGETS = {
+  admin: ['pending_payment', 'payment_under_review', 'confirmed', 'cancelled'],
+  teacher: ['cancelled'],
+  student: ['cancelled']
+};
+
+// Statuses a booking can be in for a transition to `toStatus` to be legal
+const allowedFrom = (toStatus) =>
+  Object.keys(TRANSITIONS).filter((fromStatus) => TRANSITIONS[fromStatus].includes(toStatus));
+
+// Check a requested transition. Returns null when it is allowed, otherwise
+// an object with the HTTP status, error code and message to report.
+const checkTransition = (fromStatus, toStatus, actor) => {
+  if (!BOOKING_STATUSES.includes(toStatus)) {
+    return { status: 400, code: 'INVALID_STATUS', message: 'Invalid status' };
+  }
+
+  if (!(ACTOR_TARGETS[actor] || []).includes(toStatus)) {
+    return {
+      status: 403,
+      code: 'TRANSITION_NOT_PERMITTED',
+      message: `Not authorized to set booking status to ${toStatus}`
+    };
+  }
+
+  if (!TRANSITIONS[fromStatus].includes(toStatus)) {
+    return {
+      status: 409,
+      code: 'INVALID_TRANSITION',
+      message: `Cannot change booking status from ${fromStatus} to ${toStatus}`
+    };
+  }
+
+  return null;
+};
+
+// Record a status change (fromStatus is null for newly created bookings)
+const recordStatusChange = async (db, bookingId, fromStatus, toStatus, { changedBy = null, reason = null } = {}) => {
+  await db.query(`
+    INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, reason)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [bookingId, fromStatus, toStatus, changedBy, reason]);
+};
+
+// Move the given bookings to `toStatus`, but only those currently in one of
+// `fromStatuses`, and record a history row for each. Class sessions,
+// reminders and teacher earnings are kept in step. Returns the updated
+// bookings; a booking whose status changed underneath us is left alone.
+const transitionBookings = async (db, bookingIds, fromStatuses, toStatus, { changedBy = null, reason = null } = {}) => {
+  const result = await db.query(`
+    WITH target AS (
+      SELECT id, status FROM bookings
+      WHERE id = ANY($1::int[]) AND status = ANY($2::text[])
+      FOR UPDATE
+    ), updated AS (
+      UPDATE bookings b SET status = $3, updated_at = NOW()
+      FROM target
+      WHERE b.id = target.id
+      RETURNING b.*, target.status AS previous_status
+    ), history AS (
+      INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, reason)
+      SELECT id, previous_status, $3, $4, $5 FROM updated
+    )
+    SELECT * FROM updated ORDER BY scheduled_date
+  `, [bookingIds, fromStatuses, toStatus, changedBy, reason]);
+
+  const updatedIds = result.rows.map((booking) => booking.id);
+  if (toStatus === 'confirmed') {
+    await createSessionsForBookings(db, updatedIds);
+    await scheduleClassReminders(db, updatedIds);
+    await issueInvoices(db, updatedIds);
+  } else if (toStatus === 'cancelled') {
+    await cancelSessionsForBookings(db, updatedIds);
+    await cancelClassReminders(db, updatedIds);
+  } else if (toStatus === 'completed') {
+    await recordEarnings(db, updatedIds);
+  }
+
+  return result.rows.map(({ previous_status, ...booking }) => booking);
+};
+
+// IDs of the booking and, when it belongs to a series, every booking in that
+// series. Payments always cover this whole unit.
+const getPaymentUnitIds = async (db, bookingId) => {
+  const result = await db.query(`
+    SELECT id FROM bookings
+    WHERE id = $1
+       OR series_id = (SELECT series_id FROM bookings WHERE id = $1)
+  `, [bookingId]);
+  return result.rows.map((row) => row.id);
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  TRANSITIONS,
+  allowedFrom,
+  checkTransition,
+  recordStatusChange,
+  transitionBookings,
+  getPaymentUnitIds
+};
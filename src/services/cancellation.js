@@ -0,0 +1,122 @@
+// Cancellation policy: decides what happens to the money when a booking
+// is cancelled and records the outcome against the booking's payment.
+
+const { refundCancellation } = require('./refunds');
+
+// Statuses in which the student has paid. A proof under review was never
+// verified, so those bookings count as unpaid (like PAID_BOOKING_SQL).
+const PAID_STATUSES = ['confirmed'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Policy values come from the environment so they can be tuned per deployment
+const getCancellationPolicy = () => ({
+  freeCancellationHours: parseFloat(process.env.CANCELLATION_FREE_HOURS || '24'),
+  lateCancellationCreditPercent: parseFloat(process.env.CANCELLATION_LATE_CREDIT_PERCENT || '50')
+});
+
+// Work out the refund/credit for cancelling a booking.
+// `previousStatus` is the status the booking had before it was cancelled
+// and `actor` is 'student', 'teacher' or 'admin'.
+const evaluateCancellation = (booking, previousStatus, actor, now = new Date()) => {
+  const policy = getCancellationPolicy();
+  const hoursBeforeStart = (new Date(booking.scheduled_date).getTime() - now.getTime()) / HOUR_MS;
+  const amount = parseFloat(booking.total_amount);
+
+  const paid = PAID_STATUSES.includes(previousStatus);
+  let outcome;
+  let percent;
+
+  if (!paid) {
+    // Nothing was paid, so there is nothing to give back
+    outcome = 'none';
+    percent = 0;
+  } else if (actor !== 'student') {
+    // Teacher and admin cancellations are never the student's fault
+    outcome = 'full_refund';
+    percent = 100;
+  } else if (hoursBeforeStart >= policy.freeCancellationHours) {
+    outcome = 'full_refund';
+    percent = 100;
+  } else if (hoursBeforeStart > 0) {
+    outcome = 'partial_credit';
+    percent = policy.lateCancellationCreditPercent;
+  } else {
+    outcome = 'none';
+    percent = 0;
+  }
+
+  return {
+    paid,
+    outcome,
+    refundPercent: percent,
+    refundAmount: Math.round(amount * percent) / 100,
+    hoursBeforeStart: Math.round(hoursBeforeStart * 100) / 100
+  };
+};
+
+// Once every booking of a payment unit is cancelled, proofs still waiting
+// for review will never be verified: close them
+const closePendingProofs = async (db, bookingId) => {
+  await db.query(`
+    WITH unit AS (
+      SELECT id, status FROM bookings
+      WHERE id = $1 OR series_id = (SELECT series_id FROM bookings WHERE id = $1)
+    )
+    UPDATE payment_proofs
+    SET status = 'rejected', review_notes = 'Booking cancelled before the payment was verified', reviewed_at = NOW()
+    WHERE status = 'pending'
+      AND booking_id IN (SELECT id FROM unit)
+      AND NOT EXISTS (SELECT 1 FROM unit WHERE status <> 'cancelled')
+  `, [bookingId]);
+};
+
+// Store the outcome, linked to the latest non-rejected payment proof and
+// the completed online checkout (if any) of the booking's payment unit (the
+// booking itself or its series), and create the refunds it calls for
+const recordCancellation = async (db, booking, result, { cancelledBy, actor, reason = null }) => {
+  const inserted = await db.query(`
+    INSERT INTO booking_cancellations (
+      booking_id, payment_proof_id, payment_checkout_id, cancelled_by, cancelled_by_role,
+      hours_before_start, outcome, refund_percent, refund_amount, reason
+    ) VALUES (
+      $1,
+      (
+        SELECT pp.id FROM payment_proofs pp
+        JOIN bookings b ON pp.booking_id = b.id
+        WHERE (b.id = $1 OR b.series_id = (SELECT series_id FROM bookings WHERE id = $1))
+          AND pp.status <> 'rejected'
+        ORDER BY pp.uploaded_at DESC
+        LIMIT 1
+      ),
+      (
+        SELECT pc.id FROM payment_checkouts pc
+        JOIN bookings b ON pc.booking_id = b.id
+        WHERE (b.id = $1 OR b.series_id = (SELECT series_id FROM bookings WHERE id = $1))
+          AND pc.status = 'completed'
+        ORDER BY pc.completed_at DESC
+        LIMIT 1
+      ),
+      $2, $3, $4, $5, $6, $7, $8
+    )
+    ON CONFLICT (booking_id) DO NOTHING
+    RETURNING *
+  `, [
+    booking.id, cancelledBy, actor, result.hoursBeforeStart,
+    result.outcome, result.refundPercent, result.refundAmount, reason
+  ]);
+  const cancellation = inserted.rows[0];
+  if (!cancellation) {
+    return null;
+  }
+
+  cancellation.refunds = await refundCancellation(db, booking, cancellation, { paid: result.paid });
+  await closePendingProofs(db, booking.id);
+  return cancellation;
+};
+
+module.exports = {
+  getCancellationPolicy,
+  evaluateCancellation,
+  recordCancellation
+};
@@ -0,0 +1,113 @@
+// Discount codes. A student can enter a code when creating a booking; the
+// discount is taken off the lesson prices before the bookings are stored,
+// so everything downstream (payments, refunds, earnings, invoices) works
+// from the discounted total_amount. Like the other services, functions
+// take a `db` argument exposing `query`.
+
+const { PAID_BOOKING_SQL } = require('./refunds');
+
+// SQL condition for redemptions (alias `r`) that still count towards a
+// code's limit: those whose bookings were all cancelled before being paid
+// are released
+const COUNTED_REDEMPTION_SQL = `(
+  r.booking_id IS NULL OR EXISTS (
+    SELECT 1 FROM bookings b
+    WHERE (b.id = r.booking_id OR b.series_id = r.series_id)
+      AND (b.status <> 'cancelled' OR ${PAID_BOOKING_SQL})
+  )
+)`;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Split a code's discount over lesson prices. A percentage comes off every
+// lesson; a fixed amount comes off the order, lesson by lesson.
+const allocateDiscount = (discountCode, amounts) => {
+  const value = parseFloat(discountCode.discount_value);
+
+  if (discountCode.discount_type === 'percentage') {
+    return amounts.map((amount) => roundMoney((amount * value) / 100));
+  }
+
+  let remaining = value;
+  return amounts.map((amount) => {
+    const discount = roundMoney(Math.min(amount, remaining));
+    remaining = roundMoney(remaining - discount);
+    return discount;
+  });
+};
+
+// Check a code for a new booking and work out the discount per lesson.
+// Run inside the booking transaction: the code row is locked so
+// concurrent bookings cannot go over max_redemptions.
+// Returns { discountCode, discounts } or { error: { status, code, message } }.
+const applyDiscountCode = async (db, code, { studentId, subjectId, amounts }) => {
+  const result = await db.query('SELECT * FROM discount_codes WHERE code = $1 FOR UPDATE', [normalizeCode(code)]);
+  const discountCode = result.rows[0];
+  const invalid = (message) => ({ error: { status: 400, code: 'INVALID_DISCOUNT_CODE', message } });
+
+  if (!discountCode || !discountCode.is_active) {
+    return invalid('Discount code not found');
+  }
+
+  const now = new Date();
+  if (discountCode.starts_at && new Date(discountCode.starts_at) > now) {
+    return invalid('Discount code is not valid yet');
+  }
+  if (discountCode.expires_at && new Date(discountCode.expires_at) <= now) {
+    return invalid('Discount code has expired');
+  }
+
+  const subjects = await db.query(
+    'SELECT subject_id FROM discount_code_subjects WHERE discount_code_id = $1',
+    [discountCode.id]
+  );
+  if (subjects.rows.length > 0 && !subjects.rows.some((row) => row.subject_id === parseInt(subjectId, 10))) {
+    return invalid('Discount code does not apply to this subject');
+  }
+
+  if (discountCode.max_redemptions !== null) {
+    const redeemed = await db.query(
+      `SELECT COUNT(*) FROM discount_redemptions r WHERE r.discount_code_id = $1 AND ${COUNTED_REDEMPTION_SQL}`,
+      [discountCode.id]
+    );
+    if (parseInt(redeemed.rows[0].count, 10) >= discountCode.max_redemptions) {
+      return invalid('Discount code has been fully redeemed');
+    }
+  }
+
+  // Bookings cancelled before they were ever paid do not count. The
+  // student row is locked so two first bookings cannot both pass.
+  if (discountCode.first_booking_only) {
+    await db.query('SELECT id FROM students WHERE id = $1 FOR UPDATE', [studentId]);
+    const previous = await db.query(`
+      SELECT 1 FROM bookings b
+      WHERE b.student_id = $1 AND (b.status <> 'cancelled' OR ${PAID_BOOKING_SQL})
+      LIMIT 1
+    `, [studentId]);
+    if (previous.rows.length > 0) {
+      return invalid('Discount code is only valid on a first booking');
+    }
+  }
+
+  return { discountCode, discounts: allocateDiscount(discountCode, amounts) };
+};
+
+// Record that a booking request used a code
+const recordRedemption = async (db, discountCode, { studentId, bookingId, seriesId = null, amount }) => {
+  const result = await db.query(`
+    INSERT INTO discount_redemptions (discount_code_id, student_id, booking_id, series_id, amount)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [discountCode.id, studentId, bookingId, seriesId, amount]);
+  return result.rows[0];
+};
+
+module.exports = {
+  COUNTED_REDEMPTION_SQL,
+  normalizeCode,
+  allocateDiscount,
+  applyDiscountCode,
+  recordRedemption
+};
@@ -0,0 +1,259 @@
+// Teacher earnings and payouts. Completing a booking records what it
+// earned: the gross amount (price less approved refunds), the platform
+// commission and the teacher's share, written to the double-entry ledger.
+// A refund approved afterwards adds a negative earnings row reversing its
+// share of both.
+// Payout runs batch unpaid earnings per teacher, and marking a teacher's
+// payout paid settles their teacher_payable balance. Like the other
+// services, every function takes a `db` argument exposing `query`.
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Commission for teachers without their own rate
+const getDefaultCommissionPercent = () => parseFloat(process.env.PLATFORM_COMMISSION_PERCENT || '20');
+
+// Write balanced journal lines: [{ account, debit, credit, ... }]
+const addLedgerLines = async (db, lines, { teacherId, earningId = null, teacherPayoutId = null, memo = null }) => {
+  const debits = roundMoney(lines.reduce((sum, line) => sum + (line.debit || 0), 0));
+  const credits = roundMoney(lines.reduce((sum, line) => sum + (line.credit || 0), 0));
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ledger entry: debits ${debits}, credits ${credits}`);
+  }
+
+  for (const line of lines) {
+    await db.query(`
+      INSERT INTO ledger_entries (account, teacher_id, earning_id, teacher_payout_id, debit, credit, memo)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [line.account, teacherId, earningId, teacherPayoutId, line.debit || 0, line.credit || 0, memo]);
+  }
+};
+
+// Record earnings for completed bookings that have none yet. Returns the
+// new earnings rows.
+const recordEarnings = async (db, bookingIds) => {
+  const result = await db.query(`
+    SELECT
+      b.id, b.teacher_id, b.total_amount, t.commission_percent,
+      COALESCE((
+        SELECT SUM(r.amount) FROM refunds r WHERE r.booking_id = b.id AND r.status = 'approved'
+      ), 0) AS refunded
+    FROM bookings b
+    JOIN teachers t ON b.teacher_id = t.id
+    WHERE b.id = ANY($1::int[]) AND b.status = 'completed'
+      AND NOT EXISTS (SELECT 1 FROM teacher_earnings e WHERE e.booking_id = b.id)
+  `, [bookingIds]);
+
+  const earnings = [];
+  for (const booking of result.rows) {
+    const gross = roundMoney(parseFloat(booking.total_amount) - parseFloat(booking.refunded));
+    if (gross <= 0) continue;
+
+    const percent = booking.commission_percent !== null
+      ? parseFloat(booking.commission_percent)
+      : getDefaultCommissionPercent();
+    const commission = roundMoney((gross * percent) / 100);
+    const teacherAmount = roundMoney(gross - commission);
+
+    const inserted = await db.query(`
+      INSERT INTO teacher_earnings (
+        booking_id, teacher_id, gross_amount, commission_percent, commission_amount, teacher_amount
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (booking_id) WHERE refund_id IS NULL DO NOTHING
+      RETURNING *
+    `, [booking.id, booking.teacher_id, gross, percent, commission, teacherAmount]);
+    const earning = inserted.rows[0];
+    if (!earning) continue;
+
+    await addLedgerLines(db, [
+      { account: 'student_receipts', debit: gross },
+      { account: 'platform_commission', credit: commission },
+      { account: 'teacher_payable', credit: teacherAmount }
+    ], { teacherId: booking.teacher_id, earningId: earning.id, memo: `Booking ${booking.id} completed` });
+
+    earnings.push(earning);
+  }
+  return earnings;
+};
+
+// Reverse the part of a completed booking's earning that an approved refund
+// gave back, split between commission and teacher share like the original.
+// Returns the adjustment row, or null when the booking has no earning.
+const reverseEarningForRefund = async (db, refund) => {
+  const result = await db.query(`
+    SELECT
+      e.*,
+      COALESCE((
+        SELECT SUM(a.gross_amount) FROM teacher_earnings a
+        WHERE a.booking_id = e.booking_id AND a.refund_id IS NOT NULL
+      ), 0) AS reversed
+    FROM teacher_earnings e
+    WHERE e.booking_id = $1 AND e.refund_id IS NULL
+    FOR UPDATE
+  `, [refund.booking_id]);
+  const earning = result.rows[0];
+  if (!earning) return null;
+
+  const originalGross = parseFloat(earning.gross_amount);
+  const gross = Math.min(parseFloat(refund.amount), roundMoney(originalGross + parseFloat(earning.reversed)));
+  if (gross <= 0) return null;
+
+  const commission = roundMoney((gross * parseFloat(earning.commission_amount)) / originalGross);
+  const teacherAmount = roundMoney(gross - commission);
+
+  const inserted = await db.query(`
+    INSERT INTO teacher_earnings (
+      booking_id, teacher_id, gross_amount, commission_percent, commission_amount, teacher_amount, refund_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [earning.booking_id, earning.teacher_id, -gross, earning.commission_percent, -commission, -teacherAmount, refund.id]);
+  const adjustment = inserted.rows[0];
+
+  await addLedgerLines(db, [
+    { account: 'platform_commission', debit: commission },
+    { account: 'teacher_payable', debit: teacherAmount },
+    { account: 'student_receipts', credit: gross }
+  ], { teacherId: earning.teacher_id, earningId: adjustment.id, memo: `Refund ${refund.id} on booking ${earning.booking_id}` });
+
+  return adjustment;
+};
+
+// Start a payout run for every unpaid earning recorded up to `periodEnd`.
+// Returns { run } or { error: { status, message } }.
+const createPayoutRun = async (db, { periodEnd, notes = null, createdBy }) => {
+  // One open run at a time, so an earning can never be batched twice
+  await db.query('LOCK TABLE payout_runs IN SHARE ROW EXCLUSIVE MODE');
+  const open = await db.query("SELECT id FROM payout_runs WHERE status = 'open'");
+  if (open.rows.length > 0) {
+    return { error: { status: 409, message: `Payout run ${open.rows[0].id} is still open` } };
+  }
+
+  const unpaid = await db.query(`
+    SELECT id, teacher_id, teacher_amount
+    FROM teacher_earnings
+    WHERE teacher_payout_id IS NULL AND created_at <= $1
+    FOR UPDATE
+  `, [periodEnd]);
+  if (unpaid.rows.length === 0) {
+    return { error: { status: 400, message: 'No unpaid earnings up to this date' } };
+  }
+
+  // Earning ids and amount owed per teacher. Teachers whose refund
+  // reversals outweigh their earnings carry them over to a later run.
+  const byTeacher = new Map();
+  for (const earning of unpaid.rows) {
+    const entry = byTeacher.get(earning.teacher_id) || { ids: [], amount: 0 };
+    entry.ids.push(earning.id);
+    entry.amount = roundMoney(entry.amount + parseFloat(earning.teacher_amount));
+    byTeacher.set(earning.teacher_id, entry);
+  }
+  for (const [teacherId, entry] of byTeacher) {
+    if (entry.amount <= 0) byTeacher.delete(teacherId);
+  }
+  if (byTeacher.size === 0) {
+    return { error: { status: 400, message: 'No unpaid earnings up to this date' } };
+  }
+
+  const total = roundMoney([...byTeacher.values()].reduce((sum, entry) => sum + entry.amount, 0));
+  const runResult = await db.query(`
+    INSERT INTO payout_runs (period_end, total_amount, notes, created_by)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `, [periodEnd, total, notes, createdBy]);
+  const run = runResult.rows[0];
+
+  for (const [teacherId, { ids, amount }] of byTeacher) {
+    const payout = await db.query(`
+      INSERT INTO teacher_payouts (payout_run_id, teacher_id, amount)
+      VALUES ($1, $2, $3)
+      RETURNING id
+    `, [run.id, teacherId, amount]);
+
+    await db.query(
+      'UPDATE teacher_earnings SET teacher_payout_id = $1 WHERE id = ANY($2::int[])',
+      [payout.rows[0].id, ids]
+    );
+  }
+
+  return { run };
+};
+
+// Mark one teacher's payout in a run as paid. The run is complete once
+// every payout in it is paid. Returns the payout, or null if it is not
+// pending.
+const markTeacherPayoutPaid = async (db, runId, teacherPayoutId, { reference, paidBy }) => {
+  const result = await db.query(`
+    UPDATE teacher_payouts
+    SET status = 'paid', reference = $3, paid_by = $4, paid_at = NOW()
+    WHERE id = $1 AND payout_run_id = $2 AND status = 'pending'
+    RETURNING *
+  `, [teacherPayoutId, runId, reference, paidBy]);
+  const payout = result.rows[0];
+  if (!payout) return null;
+
+  const amount = parseFloat(payout.amount);
+  await addLedgerLines(db, [
+    { account: 'teacher_payable', debit: amount },
+    { account: 'teacher_payouts', credit: amount }
+  ], { teacherId: payout.teacher_id, teacherPayoutId: payout.id, memo: `Payout run ${runId}: ${reference}` });
+
+  await db.query(`
+    UPDATE payout_runs SET status = 'paid', completed_at = NOW()
+    WHERE id = $1 AND status = 'open'
+      AND NOT EXISTS (SELECT 1 FROM teacher_payouts WHERE payout_run_id = $1 AND status = 'pending')
+  `, [runId]);
+
+  return payout;
+};
+
+// Cancel an open run before anything in it was paid, releasing its
+// earnings for the next run. Returns { run } or { error }.
+const cancelPayoutRun = async (db, runId) => {
+  const result = await db.query('SELECT * FROM payout_runs WHERE id = $1 FOR UPDATE', [runId]);
+  const run = result.rows[0];
+  if (!run) {
+    return { error: { status: 404, message: 'Payout run not found' } };
+  }
+  if (run.status !== 'open') {
+    return { error: { status: 409, message: `Payout run is ${run.status}` } };
+  }
+
+  const paid = await db.query(
+    "SELECT 1 FROM teacher_payouts WHERE payout_run_id = $1 AND status = 'paid' LIMIT 1",
+    [runId]
+  );
+  if (paid.rows.length > 0) {
+    return { error: { status: 409, message: 'Payouts in this run were already paid' } };
+  }
+
+  await db.query(`
+    UPDATE teacher_earnings SET teacher_payout_id = NULL
+    WHERE teacher_payout_id IN (SELECT id FROM teacher_payouts WHERE payout_run_id = $1)
+  `, [runId]);
+  await db.query("UPDATE teacher_payouts SET status = 'cancelled' WHERE payout_run_id = $1", [runId]);
+  const cancelled = await db.query(
+    "UPDATE payout_runs SET status = 'cancelled', completed_at = NOW() WHERE id = $1 RETURNING *",
+    [runId]
+  );
+
+  return { run: cancelled.rows[0] };
+};
+
+// What the platform owes a teacher according to the ledger
+const getTeacherPayableBalance = async (db, teacherId) => {
+  const result = await db.query(`
+    SELECT COALESCE(SUM(credit - debit), 0) AS balance
+    FROM ledger_entries
+    WHERE account = 'teacher_payable' AND teacher_id = $1
+  `, [teacherId]);
+  return parseFloat(result.rows[0].balance);
+};
+
+module.exports = {
+  getDefaultCommissionPercent,
+  recordEarnings,
+  reverseEarningForRefund,
+  createPayoutRun,
+  markTeacherPayoutPaid,
+  cancelPayoutRun,
+  getTeacherPayableBalance
+};
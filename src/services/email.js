@@ -0,0 +1,124 @@
+// Email delivery through a persisted outbox. Emails are rendered and stored
+// first, then sent by the configured transport; failures are retried with
+// exponential backoff by a background worker, so nothing is lost when the
+// provider is briefly unavailable.
+
+const { query } = require('../models/database');
+const { renderTemplate } = require('./emailTemplates');
+const { createTransport } = require('./emailTransports');
+
+const MAX_ATTEMPTS = 5;
+const WORKER_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Swap the transport (e.g. a memory transport in tests)
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+// Claim due emails by pushing their next attempt into the future, so a
+// concurrent worker run never picks up the same row while it is being sent
+const claimDueEmails = async (ids = null) => {
+  const result = await query(`
+    UPDATE email_outbox
+    SET attempts = attempts + 1, next_attempt_at = NOW() + INTERVAL '5 minutes'
+    WHERE id IN (
+      SELECT id FROM email_outbox
+      WHERE status = 'pending'
+        AND next_attempt_at <= NOW()
+        AND ($1::int[] IS NULL OR id = ANY($1::int[]))
+      ORDER BY next_attempt_at
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [ids, BATCH_SIZE]);
+  return result.rows;
+};
+
+// Send one claimed email and record the outcome
+const deliver = async (email) => {
+  try {
+    await getTransport().send({
+      to: email.to_email,
+      from: process.env.EMAIL_FROM || 'noreply@iklearnedge.com',
+      subject: email.subject,
+      text: email.text_body,
+      html: email.html_body
+    });
+
+    await query(
+      "UPDATE email_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = $1",
+      [email.id]
+    );
+    return true;
+  } catch (error) {
+    const giveUp = email.attempts >= MAX_ATTEMPTS;
+    await query(`
+      UPDATE email_outbox
+      SET status = $2,
+          last_error = $3,
+          next_attempt_at = NOW() + POWER(2, attempts) * INTERVAL '1 minute'
+      WHERE id = $1
+    `, [email.id, giveUp ? 'failed' : 'pending', error.message]);
+
+    console.error(`Email ${email.id} delivery failed (attempt ${email.attempts}):`, error.message);
+    return false;
+  }
+};
+
+// Send every due email (or only the given ids). Returns how many were sent.
+const processOutbox = async (ids = null) => {
+  const emails = await claimDueEmails(ids);
+  let sent = 0;
+  for (const email of emails) {
+    if (await deliver(email)) sent++;
+  }
+  return sent;
+};
+
+// Render a template into the outbox and try to send it straight away
+// without holding up the caller. Returns the outbox row id.
+const queueEmail = async (to, templateName, data) => {
+  const { subject, text, html } = renderTemplate(templateName, data);
+
+  const result = await query(`
+    INSERT INTO email_outbox (to_email, template, subject, text_body, html_body)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id
+  `, [to, templateName, subject, text, html]);
+
+  const { id } = result.rows[0];
+
+  setImmediate(() => {
+    processOutbox([id]).catch((error) => console.error('Email outbox error:', error));
+  });
+
+  return id;
+};
+
+// Retry pending emails periodically
+const startEmailWorker = () => {
+  const timer = setInterval(() => {
+    processOutbox().catch((error) => console.error('Email worker error:', error));
+  }, WORKER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  queueEmail,
+  processOutbox,
+  startEmailWorker,
+  setTransport
+};
@@ -0,0 +1,128 @@
+// Email templates. Each template takes a data object and returns the
+// subject plus plain-text and HTML bodies.
+
+const { formatInTimezone } = require('../utils/timezone');
+
+const APP_NAME = 'IkLearnEdge';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const appUrl = (path = '') => `${process.env.FRONTEND_URL || 'http://localhost:5173'}${path}`;
+
+// Human-readable lesson time in the recipient's timezone
+const formatLessonTime = (date, timezone = 'UTC') =>
+  `${formatInTimezone(date, timezone).slice(0, 16).replace('T', ' ')} (${timezone})`;
+
+// Wrap paragraphs in the shared layout
+const render = (subject, greetingName, paragraphs) => {
+  const text = [`Hi ${greetingName},`, ...paragraphs, `— The ${APP_NAME} team`].join('\n\n');
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto;">
+      <h2 style="color: #1e3a8a;">${escapeHtml(APP_NAME)}</h2>
+      <p>Hi ${escapeHtml(greetingName)},</p>
+      ${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n      ')}
+      <p>— The ${escapeHtml(APP_NAME)} team</p>
+    </div>
+  `.trim();
+  return { subject, text, html };
+};
+
+const templates = {
+  registration: ({ name, role }) => render(
+    `Welcome to ${APP_NAME}`,
+    name,
+    [
+      {
+        teacher: 'Thanks for applying to teach with us. Upload your documents and we will review your profile shortly.',
+        parent: 'Your account is ready. Link it to your child\'s student account to follow their lessons and payments.'
+      }[role] || 'Your account is ready. Browse our tutors and book your first lesson.',
+      `Sign in at ${appUrl('/login')}`
+    ]
+  ),
+
+  booking_confirmed: ({ name, subjectName, otherPartyName, scheduledDate, timezone, meetingLink }) => render(
+    `Booking confirmed: ${subjectName}`,
+    name,
+    [
+      `Your ${subjectName} lesson with ${otherPartyName} is confirmed for ${formatLessonTime(scheduledDate, timezone)}.`,
+      meetingLink ? `Meeting link: ${meetingLink}` : 'The meeting link will be shared before the class.',
+      `View your bookings at ${appUrl('/dashboard')}`
+    ]
+  ),
+
+  payment_approved: ({ name, subjectName, amount }) => render(
+    'Payment approved',
+    name,
+    [
+      `Your payment of ${amount} for ${subjectName} has been approved.`,
+      `View your bookings at ${appUrl('/dashboard')}`
+    ]
+  ),
+
+  payment_rejected: ({ name, subjectName, notes }) => render(
+    'Payment not approved',
+    name,
+    [
+      `Your payment proof for ${subjectName} could not be approved${notes ? `: ${notes}` : '.'}`,
+      `Please upload a new payment proof at ${appUrl('/dashboard')}`
+    ]
+  ),
+
+  email_verification: ({ name, token, expiresInHours }) => render(
+    'Verify your email address',
+    name,
+    [
+      'Please confirm your email address to start booking lessons:',
+      appUrl(`/verify-email?token=${encodeURIComponent(token)}`),
+      `The link expires in ${expiresInHours} hours.`
+    ]
+  ),
+
+  password_reset: ({ name, token, expiresInMinutes }) => render(
+    'Reset your password',
+    name,
+    [
+      'We received a request to reset your password. Use the link below to choose a new one:',
+      appUrl(`/reset-password?token=${encodeURIComponent(token)}`),
+      `The link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for this, you can ignore this email.`
+    ]
+  ),
+
+  guardian_link_request: ({ name, parentName, parentEmail }) => render(
+    'A parent wants to link to your account',
+    name,
+    [
+      `${parentName} (${parentEmail}) asked to be linked to your account as your parent or guardian. Once you approve, they can see your bookings, classes and payments and pay on your behalf.`,
+      `Approve or decline the request at ${appUrl('/dashboard')}`
+    ]
+  ),
+
+  class_reminder: ({ name, subjectName, otherPartyName, scheduledDate, timezone, meetingLink, startsIn }) => render(
+    `Reminder: ${subjectName} class ${startsIn}`,
+    name,
+    [
+      `Your ${subjectName} class with ${otherPartyName} starts ${startsIn}, at ${formatLessonTime(scheduledDate, timezone)}.`,
+      meetingLink ? `Meeting link: ${meetingLink}` : 'Check your dashboard for the meeting link.'
+    ]
+  )
+};
+
+// Render a template by name
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  templates,
+  renderTemplate,
+  escapeHtml
+};
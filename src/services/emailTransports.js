@@ -0,0 +1,100 @@
+// Email transports. Every transport exposes `send({ to, from, subject, text, html })`
+// and throws on failure so the outbox can retry. Pick one with EMAIL_TRANSPORT:
+//   sendgrid - SendGrid v3 HTTP API (SENDGRID_API_KEY)
+//   smtp     - any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+//   file     - writes each email as JSON to EMAIL_OUTBOX_DIR (development)
+//   memory   - keeps emails in memory (tests)
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const createSendGridTransport = () => ({
+  name: 'sendgrid',
+  send: async ({ to, from, subject, text, html }) => {
+    const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.SENDGRID_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: to }] }],
+        from: { email: from },
+        subject,
+        content: [
+          { type: 'text/plain', value: text },
+          { type: 'text/html', value: html }
+        ]
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`SendGrid responded ${response.status}: ${await response.text()}`);
+    }
+  }
+});
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      await transporter.sendMail(message);
+    }
+  };
+};
+
+const createFileTransport = () => {
+  const dir = process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'emails');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+      await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+    }
+  };
+};
+
+const createMemoryTransport = () => {
+  const sent = [];
+  return {
+    name: 'memory',
+    sent,
+    send: async (message) => {
+      sent.push({ ...message, sentAt: new Date() });
+    }
+  };
+};
+
+const factories = {
+  sendgrid: createSendGridTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport
+};
+
+// Build the configured transport. Defaults to SendGrid when an API key is
+// set and to the file transport otherwise.
+const createTransport = (name = process.env.EMAIL_TRANSPORT) => {
+  const transportName = name || (process.env.SENDGRID_API_KEY ? 'sendgrid' : 'file');
+  const factory = factories[transportName];
+  if (!factory) {
+    throw new Error(`Unknown email transport: ${transportName}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createTransport
+};
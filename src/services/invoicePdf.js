@@ -0,0 +1,93 @@
+// Renders an invoice row as a one-page PDF with pdfkit, entirely in process.
+
+const PDFDocument = require('pdfkit');
+const { formatInTimezone } = require('../utils/timezone');
+
+const APP_NAME = 'IkLearnEdge';
+
+const money = (amount, currency) => `${currency} ${parseFloat(amount).toFixed(2)}`;
+
+const formatDate = (date, timezone) => formatInTimezone(date, timezone).slice(0, 10);
+
+const formatLessonTime = (date, timezone) =>
+  `${formatInTimezone(date, timezone).slice(0, 16).replace('T', ' ')} (${timezone})`;
+
+// Label/value rows starting at the current position
+const writeRows = (doc, rows, { x = 50, labelWidth = 130 } = {}) => {
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text(label, x, y, { width: labelWidth });
+    doc.font('Helvetica').text(value, x + labelWidth, y);
+    doc.moveDown(0.3);
+  }
+};
+
+// Write the PDF for `invoice` to a writable stream (e.g. the response)
+const renderInvoicePdf = (invoice, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${invoice.invoice_number}` } });
+  doc.pipe(stream);
+
+  const { currency, student_timezone: timezone } = invoice;
+  const paidWithCredit = parseFloat(invoice.credit_applied);
+  const paid = parseFloat(invoice.total_amount) - paidWithCredit;
+
+  doc.fillColor('#1e3a8a').font('Helvetica-Bold').fontSize(22).text(APP_NAME);
+  doc.fillColor('black').fontSize(16).text('Invoice / Receipt', { align: 'right' });
+  doc.moveDown();
+
+  doc.fontSize(10);
+  writeRows(doc, [
+    ['Invoice number', invoice.invoice_number],
+    ['Issue date', formatDate(invoice.issued_at, timezone)],
+    ['Booking', `#${invoice.booking_id}`],
+    ['Status', 'Paid']
+  ]);
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(12).text('Billed to', 50);
+  doc.fontSize(10);
+  writeRows(doc, [
+    ['Student', invoice.student_name],
+    ['Email', invoice.student_email]
+  ]);
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(12).text('Lesson', 50);
+  doc.fontSize(10);
+  writeRows(doc, [
+    ['Teacher', invoice.teacher_name],
+    ['Subject', invoice.subject_name],
+    ['Grade level', invoice.grade_level || '-'],
+    ['Date', formatLessonTime(invoice.scheduled_date, timezone)],
+    ['Duration', `${invoice.duration} minutes`],
+    ['Price per hour', money(invoice.price_per_hour, currency)]
+  ]);
+  doc.moveDown();
+
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+  doc.moveDown(0.5);
+
+  const totals = [];
+  const discount = parseFloat(invoice.discount_amount);
+  if (discount > 0) {
+    totals.push(['Subtotal', money(parseFloat(invoice.total_amount) + discount, currency)]);
+    totals.push([`Discount (${invoice.discount_code || 'code'})`, `-${money(discount, currency)}`]);
+  }
+  totals.push(['Total', money(invoice.total_amount, currency)]);
+  if (paidWithCredit > 0) {
+    totals.push(['Paid with credit', money(paidWithCredit, currency)]);
+    totals.push(['Paid', money(paid, currency)]);
+  }
+  doc.fontSize(11);
+  writeRows(doc, totals, { x: 315 });
+
+  doc.moveDown(3);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Thank you for learning with ${APP_NAME}. Keep this receipt for your records.`, 50, doc.y, { align: 'center' });
+
+  doc.end();
+};
+
+module.exports = {
+  renderInvoicePdf
+};
@@ -0,0 +1,92 @@
+// Invoices. Every booking gets one sequentially numbered invoice when it is
+// confirmed; the details are copied onto the invoice so it never changes
+// afterwards. Like the other services, functions take a `db` argument
+// exposing `query`.
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
+
+const formatInvoiceNumber = (number) => `${INVOICE_PREFIX}-${String(number).padStart(6, '0')}`;
+
+// Issue invoices for the given bookings that have none yet. Numbers come
+// from a locked counter row, so they are gapless and in issue order.
+const issueInvoices = async (db, bookingIds) => {
+  const result = await db.query(`
+    SELECT
+      b.id, b.student_id, b.grade_level, b.scheduled_date, b.duration,
+      b.price_per_hour, b.total_amount, b.credit_applied, b.discount_amount, dc.code as discount_code,
+      su.name as student_name, su.email as student_email, su.timezone as student_timezone,
+      tu.name as teacher_name, sub.name as subject_name
+    FROM bookings b
+    JOIN students s ON b.student_id = s.id
+    JOIN users su ON s.user_id = su.id
+    JOIN teachers t ON b.teacher_id = t.id
+    JOIN users tu ON t.user_id = tu.id
+    JOIN subjects sub ON b.subject_id = sub.id
+    LEFT JOIN discount_codes dc ON b.discount_code_id = dc.id
+    WHERE b.id = ANY($1::int[])
+      AND NOT EXISTS (SELECT 1 FROM invoices i WHERE i.booking_id = b.id)
+    ORDER BY b.scheduled_date, b.id
+  `, [bookingIds]);
+
+  const currency = (process.env.PAYMENT_CURRENCY || 'usd').toUpperCase();
+  const invoices = [];
+
+  for (const booking of result.rows) {
+    const counter = await db.query(
+      'UPDATE invoice_counter SET last_number = last_number + 1 WHERE id = true RETURNING last_number'
+    );
+
+    const inserted = await db.query(`
+      INSERT INTO invoices (
+        invoice_number, booking_id, student_id, student_name, student_email, student_timezone,
+        teacher_name, subject_name, grade_level, scheduled_date, duration,
+        price_per_hour, total_amount, credit_applied, currency, discount_code, discount_amount
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      RETURNING *
+    `, [
+      formatInvoiceNumber(counter.rows[0].last_number),
+      booking.id, booking.student_id, booking.student_name, booking.student_email,
+      booking.student_timezone || 'UTC', booking.teacher_name, booking.subject_name,
+      booking.grade_level, booking.scheduled_date, booking.duration,
+      booking.price_per_hour, booking.total_amount, booking.credit_applied, currency,
+      booking.discount_code, booking.discount_amount
+    ]);
+    invoices.push(inserted.rows[0]);
+  }
+
+  return invoices;
+};
+
+// Invoice of a booking. Bookings confirmed before invoicing existed get
+// theirs on first request; bookings that were never confirmed have none.
+// Run inside a transaction: the booking row is locked so concurrent
+// requests issue a single invoice.
+const getInvoiceForBooking = async (db, bookingId) => {
+  const bookingResult = await db.query(`
+    SELECT
+      b.status IN ('confirmed', 'completed') OR EXISTS (
+        SELECT 1 FROM booking_status_history h WHERE h.booking_id = b.id AND h.to_status = 'confirmed'
+      ) AS was_confirmed
+    FROM bookings b
+    WHERE b.id = $1
+    FOR UPDATE
+  `, [bookingId]);
+
+  const existing = await db.query('SELECT * FROM invoices WHERE booking_id = $1', [bookingId]);
+  if (existing.rows.length > 0) {
+    return existing.rows[0];
+  }
+
+  if (!bookingResult.rows[0] || !bookingResult.rows[0].was_confirmed) {
+    return null;
+  }
+
+  const [invoice] = await issueInvoices(db, [bookingId]);
+  return invoice || null;
+};
+
+module.exports = {
+  formatInvoiceNumber,
+  issueInvoices,
+  getInvoiceForBooking
+};
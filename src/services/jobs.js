@@ -0,0 +1,94 @@
+// In-process job scheduler backed by the scheduled_jobs table, so pending
+// jobs survive restarts. A job is claimed (marked completed) before its
+// handler runs, which means a crash or restart can never run it twice.
+
+const { query } = require('../models/database');
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 50;
+
+const handlers = {};
+
+// Register the function that runs jobs of a type. A handler may return
+// 'skipped' when the job no longer applies.
+const registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+// Schedule a job. Scheduling the same (type, booking, time) again is a
+// no-op, except that a previously cancelled job is revived.
+const scheduleJob = async (db, { type, bookingId = null, runAt, payload = {} }) => {
+  const result = await db.query(`
+    INSERT INTO scheduled_jobs (type, booking_id, run_at, payload)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (type, booking_id, run_at) DO UPDATE
+      SET status = 'pending', payload = EXCLUDED.payload
+      WHERE scheduled_jobs.status = 'cancelled'
+    RETURNING *
+  `, [type, bookingId, runAt, payload]);
+  return result.rows[0] || null;
+};
+
+// Cancel pending jobs of a type for the given bookings
+const cancelJobs = async (db, type, bookingIds) => {
+  await db.query(`
+    UPDATE scheduled_jobs SET status = 'cancelled'
+    WHERE type = $1 AND booking_id = ANY($2::int[]) AND status = 'pending'
+  `, [type, bookingIds]);
+};
+
+// Claim and run every job that is due. Returns the number of jobs run.
+const runDueJobs = async () => {
+  const claimed = await query(`
+    UPDATE scheduled_jobs SET status = 'completed', completed_at = NOW()
+    WHERE id IN (
+      SELECT id FROM scheduled_jobs
+      WHERE status = 'pending' AND run_at <= NOW()
+      ORDER BY run_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [BATCH_SIZE]);
+
+  for (const job of claimed.rows) {
+    try {
+      const handler = handlers[job.type];
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      const outcome = await handler(job);
+      if (outcome === 'skipped') {
+        await query("UPDATE scheduled_jobs SET status = 'skipped' WHERE id = $1", [job.id]);
+      }
+    } catch (error) {
+      console.error(`Job ${job.id} (${job.type}) failed:`, error);
+      await query(
+        "UPDATE scheduled_jobs SET status = 'failed', last_error = $2 WHERE id = $1",
+        [job.id, error.message]
+      );
+    }
+  }
+
+  return claimed.rows.length;
+};
+
+// Poll for due jobs
+const startJobScheduler = () => {
+  const tick = () => {
+    runDueJobs().catch((error) => console.error('Job scheduler error:', error));
+  };
+  const timer = setInterval(tick, POLL_INTERVAL_MS);
+  timer.unref();
+  tick();
+  return timer;
+};
+
+module.exports = {
+  registerJobHandler,
+  scheduleJob,
+  cancelJobs,
+  runDueJobs,
+  startJobScheduler
+};
@@ -0,0 +1,121 @@
+// Brute-force protection for password logins. Every attempt is recorded.
+// Consecutive failures on an account slow down further attempts and then
+// lock it for a while; many failures from one IP (across any accounts)
+// block that IP for the tracking window.
+
+const { query } = require('../models/database');
+
+const ACCOUNT_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES || '20', 10);
+const IP_WINDOW_MINUTES = 15;
+
+// Failures tolerated before responses start slowing down
+const FREE_FAILURES = 2;
+const MAX_DELAY_MS = 8000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Delay before answering an attempt: doubles with each failure past the
+// free ones (1s, 2s, 4s, ...)
+const getDelayMs = (failures) => {
+  if (failures <= FREE_FAILURES) return 0;
+  return Math.min(1000 * 2 ** (failures - FREE_FAILURES - 1), MAX_DELAY_MS);
+};
+
+const minutesUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 60000));
+
+// Decide whether a login may proceed. Returns { allowed: true } or
+// { allowed: false, message, retryAfterMinutes }. When allowed, waits out
+// the progressive delay first.
+const checkLoginAllowed = async (email, ipAddress) => {
+  const ipResult = await query(`
+    SELECT COUNT(*) as failures, MIN(created_at) as oldest
+    FROM login_attempts
+    WHERE ip_address = $1 AND success = false
+      AND created_at > NOW() - $2::int * INTERVAL '1 minute'
+  `, [ipAddress, IP_WINDOW_MINUTES]);
+  const ipFailures = parseInt(ipResult.rows[0].failures);
+
+  if (ipFailures >= IP_MAX_FAILURES) {
+    const retryAt = new Date(new Date(ipResult.rows[0].oldest).getTime() + IP_WINDOW_MINUTES * 60000);
+    return {
+      allowed: false,
+      message: 'Too many failed login attempts from this network. Please try again later.',
+      retryAfterMinutes: minutesUntil(retryAt)
+    };
+  }
+
+  const userResult = await query(
+    'SELECT failed_login_count, locked_until FROM users WHERE email = $1',
+    [email]
+  );
+  const account = userResult.rows[0];
+
+  if (account && account.locked_until && new Date(account.locked_until) > new Date()) {
+    return {
+      allowed: false,
+      message: 'This account is temporarily locked after too many failed login attempts.',
+      retryAfterMinutes: minutesUntil(account.locked_until)
+    };
+  }
+
+  const delay = getDelayMs(Math.max(account ? account.failed_login_count : 0, ipFailures));
+  if (delay > 0) {
+    await sleep(delay);
+  }
+
+  return { allowed: true };
+};
+
+const recordAttempt = async ({ email, userId = null, ipAddress, userAgent, success, reason = null }) => {
+  await query(`
+    INSERT INTO login_attempts (email, user_id, ip_address, user_agent, success, reason)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [email, userId, ipAddress, userAgent, success, reason]);
+};
+
+// Record a failed attempt; locks the account once it reaches the limit.
+// The count is only reset by a successful login or an unlock, so after a
+// lockout expires the next failure locks the account again.
+const recordLoginFailure = async ({ email, userId = null, ipAddress, userAgent, reason }) => {
+  await recordAttempt({ email, userId, ipAddress, userAgent, success: false, reason });
+
+  if (userId) {
+    await query(`
+      UPDATE users
+      SET failed_login_count = failed_login_count + 1,
+          locked_until = CASE
+            WHEN failed_login_count + 1 >= $2 THEN NOW() + $3::int * INTERVAL '1 minute'
+            ELSE locked_until
+          END
+      WHERE id = $1
+    `, [userId, ACCOUNT_MAX_FAILURES, LOCKOUT_MINUTES]);
+  }
+};
+
+const recordLoginSuccess = async ({ email, userId, ipAddress, userAgent }) => {
+  await recordAttempt({ email, userId, ipAddress, userAgent, success: true });
+  await query(
+    'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1',
+    [userId]
+  );
+};
+
+// Lift a lockout. Returns false if the user does not exist.
+const unlockAccount = async (userId) => {
+  const result = await query(
+    'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1 RETURNING id',
+    [userId]
+  );
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  ACCOUNT_MAX_FAILURES,
+  LOCKOUT_MINUTES,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+};
@@ -0,0 +1,354 @@
+// In-app notifications. Each event helper works out who should hear about
+// it, writes rows to the notifications table and queues any matching email.
+// Notifications are a side effect: failures are logged and never break the
+// request that caused them.
+
+const { query } = require('../models/database');
+const { queueEmail } = require('./email');
+
+// Create a single notification
+const notify = async (userId, { title, message, type = 'info', event = null, data = {} }) => {
+  const result = await query(`
+    INSERT INTO notifications (user_id, title, message, type, event, data)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [userId, title, message, type, event, data]);
+  return result.rows[0];
+};
+
+// Student and teacher user accounts plus display details of a booking
+const getBookingParticipants = async (bookingId) => {
+  const result = await query(`
+    SELECT
+      b.id, b.student_id, b.scheduled_date, b.series_id, b.meeting_link, b.total_amount,
+      su.id as student_user_id, su.name as student_name,
+      su.email as student_email, su.timezone as student_timezone,
+      tu.id as teacher_user_id, tu.name as teacher_name,
+      tu.email as teacher_email, tu.timezone as teacher_timezone,
+      sub.name as subject_name
+    FROM bookings b
+    JOIN students s ON b.student_id = s.id
+    JOIN users su ON s.user_id = su.id
+    JOIN teachers t ON b.teacher_id = t.id
+    JOIN users tu ON t.user_id = tu.id
+    JOIN subjects sub ON b.subject_id = sub.id
+    WHERE b.id = $1
+  `, [bookingId]);
+  return result.rows[0] || null;
+};
+
+// Copy a notification to every parent actively linked to the student
+const notifyGuardians = async (studentId, notification) => {
+  const result = await query(
+    "SELECT parent_user_id FROM guardian_links WHERE student_id = $1 AND status = 'active'",
+    [studentId]
+  );
+  for (const { parent_user_id: parentUserId } of result.rows) {
+    await notify(parentUserId, notification);
+  }
+};
+
+// Run an event helper, logging instead of throwing
+const safely = (name, fn) => async (...args) => {
+  try {
+    await fn(...args);
+  } catch (error) {
+    console.error(`Notification error (${name}):`, error);
+  }
+};
+
+const notifyBookingCreated = safely('booking_created', async (bookingId, { occurrences = 1 } = {}) => {
+  const booking = await getBookingParticipants(bookingId);
+  if (!booking) return;
+
+  const what = occurrences > 1
+    ? `${occurrences} weekly ${booking.subject_name} lessons`
+    : `a ${booking.subject_name} lesson`;
+  const data = { bookingId: booking.id, seriesId: booking.series_id };
+
+  await notify(booking.teacher_user_id, {
+    title: 'New booking',
+    message: `${booking.student_name} booked ${what} with you.`,
+    event: 'booking_created',
+    data
+  });
+  await notify(booking.student_user_id, {
+    title: 'Booking created',
+    message: `You booked ${what} with ${booking.teacher_name}. Please complete payment to confirm.`,
+    event: 'booking_created',
+    data
+  });
+  await notifyGuardians(booking.student_id, {
+    title: 'Booking created',
+    message: `${booking.student_name} booked ${what} with ${booking.teacher_name}. Payment is needed to confirm.`,
+    event: 'booking_created',
+    data
+  });
+});
+
+const notifyBookingCancelled = safely('booking_cancelled', async (bookingId, cancelledByUserId) => {
+  const booking = await getBookingParticipants(bookingId);
+  if (!booking) return;
+
+  const data = { bookingId: booking.id };
+  const recipients = [booking.student_user_id, booking.teacher_user_id]
+    .filter((userId) => userId !== cancelledByUserId);
+
+  for (const userId of recipients) {
+    await notify(userId, {
+      title: 'Booking cancelled',
+      message: `The ${booking.subject_name} lesson between ${booking.student_name} and ${booking.teacher_name} was cancelled.`,
+      type: 'warning',
+      event: 'booking_cancelled',
+      data
+    });
+  }
+  await notifyGuardians(booking.student_id, {
+    title: 'Booking cancelled',
+    message: `${booking.student_name}'s ${booking.subject_name} lesson with ${booking.teacher_name} was cancelled.`,
+    type: 'warning',
+    event: 'booking_cancelled',
+    data
+  });
+});
+
+const notifyPaymentReviewed = safely('payment_reviewed', async (bookingId, status, notes) => {
+  const booking = await getBookingParticipants(bookingId);
+  if (!booking) return;
+
+  const data = { bookingId: booking.id, seriesId: booking.series_id };
+
+  if (status === 'approved') {
+    // A payment covers the booking and, for a series, every lesson in it
+    const unit = await query(
+      'SELECT SUM(total_amount) AS amount FROM bookings WHERE id = $1 OR series_id = $2',
+      [booking.id, booking.series_id]
+    );
+
+    await notify(booking.student_user_id, {
+      title: 'Payment approved',
+      message: `Your payment for ${booking.subject_name} with ${booking.teacher_name} was approved. Your booking is confirmed.`,
+      type: 'success',
+      event: 'payment_approved',
+      data
+    });
+    await queueEmail(booking.student_email, 'payment_approved', {
+      name: booking.student_name,
+      subjectName: booking.subject_name,
+      amount: unit.rows[0].amount
+    });
+    await notifyGuardians(booking.student_id, {
+      title: 'Payment approved',
+      message: `The payment for ${booking.student_name}'s ${booking.subject_name} lesson was approved. The booking is confirmed.`,
+      type: 'success',
+      event: 'payment_approved',
+      data
+    });
+  } else {
+    await notify(booking.student_user_id, {
+      title: 'Payment rejected',
+      message: `Your payment for ${booking.subject_name} was rejected${notes ? `: ${notes}` : '.'} Please upload a new payment proof.`,
+      type: 'error',
+      event: 'payment_rejected',
+      data
+    });
+    await queueEmail(booking.student_email, 'payment_rejected', {
+      name: booking.student_name,
+      subjectName: booking.subject_name,
+      notes
+    });
+    await notifyGuardians(booking.student_id, {
+      title: 'Payment rejected',
+      message: `The payment for ${booking.student_name}'s ${booking.subject_name} lesson was rejected${notes ? `: ${notes}` : '.'} Please upload a new payment proof.`,
+      type: 'error',
+      event: 'payment_rejected',
+      data
+    });
+  }
+});
+
+const notifyBookingConfirmed = safely('booking_confirmed', async (bookingId) => {
+  const booking = await getBookingParticipants(bookingId);
+  if (!booking) return;
+
+  await notify(booking.teacher_user_id, {
+    title: 'Booking confirmed',
+    message: `${booking.student_name}'s ${booking.subject_name} booking is confirmed.`,
+    type: 'success',
+    event: 'booking_confirmed',
+    data: { bookingId: booking.id, seriesId: booking.series_id }
+  });
+  await notifyGuardians(booking.student_id, {
+    title: 'Booking confirmed',
+    message: `${booking.student_name}'s ${booking.subject_name} lesson with ${booking.teacher_name} is confirmed.`,
+    type: 'success',
+    event: 'booking_confirmed',
+    data: { bookingId: booking.id, seriesId: booking.series_id }
+  });
+
+  const lesson = {
+    subjectName: booking.subject_name,
+    scheduledDate: booking.scheduled_date,
+    meetingLink: booking.meeting_link
+  };
+  await queueEmail(booking.student_email, 'booking_confirmed', {
+    ...lesson,
+    name: booking.student_name,
+    otherPartyName: booking.teacher_name,
+    timezone: booking.student_timezone
+  });
+  await queueEmail(booking.teacher_email, 'booking_confirmed', {
+    ...lesson,
+    name: booking.teacher_name,
+    otherPartyName: booking.student_name,
+    timezone: booking.teacher_timezone
+  });
+});
+
+const notifyTeacherVerified = safely('teacher_verified', async (teacherId, status, notes) => {
+  const result = await query('SELECT user_id FROM teachers WHERE id = $1', [teacherId]);
+  if (result.rows.length === 0) return;
+
+  const approved = status === 'approved';
+  await notify(result.rows[0].user_id, {
+    title: approved ? 'Profile approved' : 'Profile not approved',
+    message: approved
+      ? 'Your teacher profile was approved and is now live.'
+      : `Your teacher profile was not approved${notes ? `: ${notes}` : '.'}`,
+    type: approved ? 'success' : 'error',
+    event: 'teacher_verified',
+    data: { teacherId: parseInt(teacherId, 10), status }
+  });
+});
+
+// Announce a class that starts `minutes` from now (0 when the teacher has
+// just started it). Advance reminders also go out by email.
+const notifyClassStarting = safely('class_starting', async (bookingId, { minutes = 0 } = {}) => {
+  const booking = await getBookingParticipants(bookingId);
+  if (!booking) return;
+
+  let when = 'now';
+  if (minutes >= 60) {
+    when = `in ${Math.round(minutes / 60)} hours`;
+  } else if (minutes > 0) {
+    when = `in ${minutes} minutes`;
+  }
+  const data = { bookingId: booking.id };
+
+  await notify(booking.student_user_id, {
+    title: 'Class starting soon',
+    message: `Your ${booking.subject_name} class with ${booking.teacher_name} starts ${when}.`,
+    event: 'class_starting',
+    data
+  });
+  await notifyGuardians(booking.student_id, {
+    title: 'Class starting soon',
+    message: `${booking.student_name}'s ${booking.subject_name} class with ${booking.teacher_name} starts ${when}.`,
+    event: 'class_starting',
+    data
+  });
+  if (minutes > 0) {
+    await notify(booking.teacher_user_id, {
+      title: 'Class starting soon',
+      message: `Your ${booking.subject_name} class with ${booking.student_name} starts ${when}.`,
+      event: 'class_starting',
+      data
+    });
+
+    const lesson = {
+      subjectName: booking.subject_name,
+      scheduledDate: booking.scheduled_date,
+      meetingLink: booking.meeting_link,
+      startsIn: when
+    };
+    await queueEmail(booking.student_email, 'class_reminder', {
+      ...lesson,
+      name: booking.student_name,
+      otherPartyName: booking.teacher_name,
+      timezone: booking.student_timezone
+    });
+    await queueEmail(booking.teacher_email, 'class_reminder', {
+      ...lesson,
+      name: booking.teacher_name,
+      otherPartyName: booking.student_name,
+      timezone: booking.teacher_timezone
+    });
+  }
+});
+
+// Parent and student accounts of a guardian link
+const getGuardianLink = async (linkId) => {
+  const result = await query(`
+    SELECT
+      gl.id, gl.status, gl.parent_user_id,
+      pu.name as parent_name, pu.email as parent_email,
+      su.id as student_user_id, su.name as student_name, su.email as student_email
+    FROM guardian_links gl
+    JOIN users pu ON gl.parent_user_id = pu.id
+    JOIN students s ON gl.student_id = s.id
+    JOIN users su ON s.user_id = su.id
+    WHERE gl.id = $1
+  `, [linkId]);
+  return result.rows[0] || null;
+};
+
+const notifyGuardianLinkRequested = safely('guardian_link_requested', async (linkId) => {
+  const link = await getGuardianLink(linkId);
+  if (!link) return;
+
+  await notify(link.student_user_id, {
+    title: 'Parent link request',
+    message: `${link.parent_name} asked to be linked to your account as your parent or guardian.`,
+    event: 'guardian_link_requested',
+    data: { linkId: link.id }
+  });
+  await queueEmail(link.student_email, 'guardian_link_request', {
+    name: link.student_name,
+    parentName: link.parent_name,
+    parentEmail: link.parent_email
+  });
+});
+
+const notifyGuardianLinkAnswered = safely('guardian_link_answered', async (linkId) => {
+  const link = await getGuardianLink(linkId);
+  if (!link) return;
+
+  const approved = link.status === 'active';
+  await notify(link.parent_user_id, {
+    title: approved ? 'Link approved' : 'Link declined',
+    message: approved
+      ? `${link.student_name} approved your link request. You can now follow their lessons and payments.`
+      : `${link.student_name} declined your link request.`,
+    type: approved ? 'success' : 'warning',
+    event: 'guardian_link_answered',
+    data: { linkId: link.id, status: link.status }
+  });
+});
+
+// Tell the side of the link that did not remove it
+const notifyGuardianLinkRevoked = safely('guardian_link_revoked', async (linkId, revokedByUserId) => {
+  const link = await getGuardianLink(linkId);
+  if (!link) return;
+
+  const byParent = link.parent_user_id === revokedByUserId;
+  await notify(byParent ? link.student_user_id : link.parent_user_id, {
+    title: 'Parent link removed',
+    message: `${byParent ? link.parent_name : link.student_name} removed the parent/guardian link.`,
+    type: 'warning',
+    event: 'guardian_link_revoked',
+    data: { linkId: link.id }
+  });
+});
+
+module.exports = {
+  notify,
+  notifyBookingCreated,
+  notifyBookingCancelled,
+  notifyPaymentReviewed,
+  notifyBookingConfirmed,
+  notifyTeacherVerified,
+  notifyClassStarting,
+  notifyGuardianLinkRequested,
+  notifyGuardianLinkAnswered,
+  notifyGuardianLinkRevoked
+};
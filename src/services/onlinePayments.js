@@ -0,0 +1,215 @@
+// Online payments: checkout sessions with the configured provider and the
+// webhook that confirms them. A checkout covers a whole payment unit (a
+// single booking or every booking of its series), like a payment proof.
+// The manual proof flow keeps working alongside it.
+
+const { query, transaction } = require('../models/database');
+const { createPaymentProvider } = require('./paymentProviders');
+const { transitionBookings, getPaymentUnitIds } = require('./bookingStatus');
+const { createRefund } = require('./refunds');
+const { notifyPaymentReviewed, notifyBookingConfirmed } = require('./notifications');
+
+const PAYMENT_CURRENCY = (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+
+let provider;
+
+const getProvider = () => {
+  if (provider === undefined) {
+    provider = createPaymentProvider();
+  }
+  return provider;
+};
+
+// Swap the provider (e.g. a fake provider in tests)
+const setProvider = (newProvider) => {
+  provider = newProvider;
+};
+
+const isOnlinePaymentEnabled = () => Boolean(getProvider());
+
+const appUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:5173'}${path}`;
+
+// Public view of a checkout
+const formatCheckout = (checkout) => ({
+  checkoutId: checkout.id,
+  provider: checkout.provider,
+  url: checkout.checkout_url,
+  amount: checkout.amount,
+  currency: checkout.currency,
+  status: checkout.status,
+  expiresAt: checkout.expires_at
+});
+
+// Start (or reuse) a checkout for the payment unit of a booking. Returns
+// { checkout } or { error: { status, code, message } }.
+const startCheckout = async (bookingId, user) => {
+  const paymentProvider = getProvider();
+  if (!paymentProvider) {
+    return { error: { status: 400, code: 'ONLINE_PAYMENTS_DISABLED', message: 'Online payments are not available' } };
+  }
+
+  const unitIds = await getPaymentUnitIds({ query }, bookingId);
+  const result = await query(`
+    SELECT b.id, b.status, b.total_amount - b.credit_applied AS amount_due, s.name as subject_name
+    FROM bookings b
+    JOIN subjects s ON b.subject_id = s.id
+    WHERE b.id = ANY($1::int[])
+    ORDER BY b.scheduled_date
+  `, [unitIds]);
+
+  // Credit already spent on a booking reduces what is left to pay
+  const payable = result.rows.filter((booking) => booking.status === 'pending_payment' && parseFloat(booking.amount_due) > 0);
+  if (payable.length === 0) {
+    return { error: { status: 409, code: 'INVALID_TRANSITION', message: 'This booking is not awaiting payment' } };
+  }
+
+  const amount = Math.round(payable.reduce((sum, booking) => sum + parseFloat(booking.amount_due), 0) * 100) / 100;
+
+  // Hand back an open checkout for the same amount instead of starting another
+  const existing = await query(`
+    SELECT * FROM payment_checkouts
+    WHERE booking_id = ANY($1::int[]) AND provider = $2 AND status = 'open'
+      AND amount = $3 AND expires_at > NOW() + INTERVAL '2 minutes'
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [unitIds, paymentProvider.name, amount]);
+  if (existing.rows.length > 0) {
+    return { checkout: existing.rows[0] };
+  }
+
+  const leadId = Math.min(...unitIds);
+  const session = await paymentProvider.createCheckout({
+    reference: `booking_${leadId}`,
+    amount,
+    currency: PAYMENT_CURRENCY,
+    description: payable.length > 1
+      ? `${payable.length} ${payable[0].subject_name} lessons`
+      : `${payable[0].subject_name} lesson`,
+    customerEmail: user.email,
+    successUrl: appUrl(`/bookings/${leadId}?payment=success`),
+    cancelUrl: appUrl(`/bookings/${leadId}?payment=cancelled`)
+  });
+
+  const inserted = await query(`
+    INSERT INTO payment_checkouts (
+      booking_id, provider, provider_session_id, amount, currency,
+      checkout_url, expires_at, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [leadId, paymentProvider.name, session.id, amount, PAYMENT_CURRENCY, session.url, session.expiresAt, user.id]);
+
+  return { checkout: inserted.rows[0] };
+};
+
+// Money taken for a checkout that cannot confirm anything goes back to the
+// student: record a pending refund for staff to pay out
+const refundCheckout = async (client, checkout, amount, reason) => {
+  if (!(parseFloat(amount) > 0)) return;
+
+  const result = await client.query('SELECT * FROM bookings WHERE id = $1', [checkout.booking_id]);
+  if (result.rows.length === 0) return;
+
+  await createRefund(client, result.rows[0], {
+    amount,
+    method: 'original_payment',
+    refundType: 'full',
+    reason: `${reason} (checkout ${checkout.provider_session_id})`
+  });
+};
+
+// Apply a completed checkout: confirm every booking of the unit still
+// awaiting payment. Returns the confirmed booking id, or null.
+const completeCheckout = async (client, checkout, event) => {
+  const expected = Math.round(parseFloat(checkout.amount) * 100);
+  if (event.amount != null && Math.round(event.amount * 100) !== expected) {
+    console.error(`Checkout ${checkout.id} paid ${event.amount}, expected ${checkout.amount}`);
+    await client.query("UPDATE payment_checkouts SET status = 'failed' WHERE id = $1", [checkout.id]);
+    await refundCheckout(client, checkout, event.amount, 'Online payment did not match the amount due');
+    return null;
+  }
+
+  await client.query(
+    "UPDATE payment_checkouts SET status = 'completed', completed_at = NOW() WHERE id = $1",
+    [checkout.id]
+  );
+
+  const unitIds = await getPaymentUnitIds(client, checkout.booking_id);
+  const confirmed = await transitionBookings(client, unitIds, ['pending_payment', 'payment_under_review'], 'confirmed', {
+    reason: `Online payment received (${checkout.provider})`
+  });
+
+  if (confirmed.length === 0) {
+    console.error(`Checkout ${checkout.id} was paid but booking ${checkout.booking_id} is no longer awaiting payment`);
+    await refundCheckout(client, checkout, checkout.amount, 'Online payment received after the booking was no longer awaiting payment');
+    return null;
+  }
+
+  // Proofs still waiting for review are no longer needed
+  await client.query(`
+    UPDATE payment_proofs
+    SET status = 'rejected', review_notes = 'Superseded by online payment', reviewed_at = NOW()
+    WHERE booking_id = ANY($1::int[]) AND status = 'pending'
+  `, [unitIds]);
+
+  return checkout.booking_id;
+};
+
+// Verify and apply a provider webhook. Returns false when the signature is
+// invalid; repeated deliveries of an event are acknowledged and ignored.
+const handleWebhook = async (rawBody, headers) => {
+  const paymentProvider = getProvider();
+  const event = paymentProvider && paymentProvider.parseWebhook(rawBody, headers);
+  if (!event) {
+    return false;
+  }
+
+  const confirmedBookingId = await transaction(async (client) => {
+    const recorded = await client.query(`
+      INSERT INTO payment_webhook_events (provider, event_id, event_type, provider_session_id)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (provider, event_id) DO NOTHING
+      RETURNING id
+    `, [paymentProvider.name, event.id, event.type, event.checkoutId || null]);
+    if (recorded.rows.length === 0 || event.type === 'ignored') {
+      return null;
+    }
+
+    const result = await client.query(`
+      SELECT * FROM payment_checkouts
+      WHERE provider = $1 AND provider_session_id = $2
+      FOR UPDATE
+    `, [paymentProvider.name, event.checkoutId]);
+    const checkout = result.rows[0];
+    if (!checkout || checkout.status === 'completed') {
+      return null;
+    }
+
+    if (event.type === 'checkout.completed') {
+      return completeCheckout(client, checkout, event);
+    }
+
+    const status = event.type === 'checkout.expired' ? 'expired' : 'failed';
+    await client.query(
+      "UPDATE payment_checkouts SET status = $2 WHERE id = $1 AND status = 'open'",
+      [checkout.id, status]
+    );
+    return null;
+  });
+
+  if (confirmedBookingId) {
+    await notifyPaymentReviewed(confirmedBookingId, 'approved');
+    await notifyBookingConfirmed(confirmedBookingId);
+  }
+
+  return true;
+};
+
+module.exports = {
+  PAYMENT_CURRENCY,
+  getProvider,
+  setProvider,
+  isOnlinePaymentEnabled,
+  formatCheckout,
+  startCheckout,
+  handleWebhook
+};
@@ -0,0 +1,175 @@
+// Payment providers. Every provider exposes
+//   createCheckout({ reference, amount, currency, description, customerEmail, successUrl, cancelUrl })
+//     -> { id, url, expiresAt }
+//   parseWebhook(rawBody, headers) -> { id, type, checkoutId, amount, currency }
+// where `amount` is in major units and `type` is one of checkout.completed,
+// checkout.expired, checkout.failed or ignored. parseWebhook returns null
+// when the payload is not validly signed with the webhook secret. Pick one
+// with PAYMENT_PROVIDER:
+//   stripe - Stripe Checkout (STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET)
+//   fake   - never leaves the process; completeCheckout() builds a signed
+//            webhook for a checkout (development and tests)
+
+const crypto = require('crypto');
+
+// Reject signed payloads older than this
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const CHECKOUT_EXPIRE_MINUTES = 30;
+
+// Stripe-style signature header: t=<unix time>,v1=<hex HMAC of "t.body">
+const sign = (secret, payload, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// True when one of the header's signatures matches and is recent enough
+const verifySignature = (secret, header, rawBody) => {
+  if (!secret || !header) return false;
+
+  const parts = header.split(',').map((part) => part.split('='));
+  const timestamp = parseInt((parts.find(([key]) => key === 't') || [])[1], 10);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(secret, rawBody, timestamp).split('v1=')[1], 'hex');
+  return signatures.some((signature) => {
+    const candidate = Buffer.from(signature, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+};
+
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+const STRIPE_EVENT_TYPES = {
+  'checkout.session.completed': 'checkout.completed',
+  'checkout.session.async_payment_succeeded': 'checkout.completed',
+  'checkout.session.async_payment_failed': 'checkout.failed',
+  'checkout.session.expired': 'checkout.expired'
+};
+
+const createStripeProvider = () => ({
+  name: 'stripe',
+  createCheckout: async ({ reference, amount, currency, description, customerEmail, successUrl, cancelUrl }) => {
+    const params = new URLSearchParams({
+      mode: 'payment',
+      client_reference_id: reference,
+      'metadata[reference]': reference,
+      'line_items[0][quantity]': '1',
+      'line_items[0][price_data][currency]': currency,
+      'line_items[0][price_data][unit_amount]': String(toMinorUnits(amount)),
+      'line_items[0][price_data][product_data][name]': description,
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      expires_at: String(Math.floor(Date.now() / 1000) + CHECKOUT_EXPIRE_MINUTES * 60)
+    });
+    if (customerEmail) {
+      params.set('customer_email', customerEmail);
+    }
+
+    const response = await fetch('https://api.stripe.com/v1/checkout/sessions', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: params
+    });
+
+    if (!response.ok) {
+      throw new Error(`Stripe responded ${response.status}: ${await response.text()}`);
+    }
+
+    const session = await response.json();
+    return { id: session.id, url: session.url, expiresAt: new Date(session.expires_at * 1000) };
+  },
+  parseWebhook: (rawBody, headers) => {
+    if (!verifySignature(process.env.STRIPE_WEBHOOK_SECRET, headers['stripe-signature'], rawBody)) {
+      return null;
+    }
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const session = (event.data && event.data.object) || {};
+    let type = STRIPE_EVENT_TYPES[event.type] || 'ignored';
+    // Delayed payment methods complete later through async_payment_succeeded
+    if (event.type === 'checkout.session.completed' && session.payment_status !== 'paid') {
+      type = 'ignored';
+    }
+
+    return {
+      id: event.id,
+      type,
+      checkoutId: session.id,
+      amount: session.amount_total != null ? session.amount_total / 100 : null,
+      currency: session.currency
+    };
+  }
+});
+
+// Anyone who knows the secret can confirm checkouts, so the fake provider
+// needs its own secret and is never available in production
+const createFakeProvider = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment provider cannot be used in production');
+  }
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is required for the fake payment provider');
+  }
+  const checkouts = new Map();
+
+  return {
+    name: 'fake',
+    checkouts,
+    createCheckout: async ({ reference, amount, currency, successUrl }) => {
+      const id = `fake_cs_${crypto.randomBytes(12).toString('hex')}`;
+      checkouts.set(id, { reference, amount, currency });
+      return {
+        id,
+        url: `${successUrl}${successUrl.includes('?') ? '&' : '?'}fake_checkout=${id}`,
+        expiresAt: new Date(Date.now() + CHECKOUT_EXPIRE_MINUTES * 60 * 1000)
+      };
+    },
+    parseWebhook: (rawBody, headers) => {
+      if (!verifySignature(secret, headers['x-fake-signature'], rawBody)) {
+        return null;
+      }
+      return JSON.parse(rawBody.toString('utf8'));
+    },
+    // Signed webhook request announcing the outcome of a checkout
+    completeCheckout: (id, { type = 'checkout.completed', amount } = {}) => {
+      const checkout = checkouts.get(id) || {};
+      const body = JSON.stringify({
+        id: `fake_evt_${crypto.randomBytes(12).toString('hex')}`,
+        type,
+        checkoutId: id,
+        amount: amount !== undefined ? amount : checkout.amount,
+        currency: checkout.currency
+      });
+      return { body, headers: { 'content-type': 'application/json', 'x-fake-signature': sign(secret, body) } };
+    }
+  };
+};
+
+const factories = {
+  stripe: createStripeProvider,
+  fake: createFakeProvider
+};
+
+// Build the configured provider, or null when online payments are off
+const createPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name || name === 'none') {
+    return null;
+  }
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createPaymentProvider
+};
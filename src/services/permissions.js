@@ -0,0 +1,79 @@
+// Permission model. Routes ask for permissions, never for role names; each
+// role (see the roles table) maps to a set of permissions. The wildcard '*'
+// grants everything.
+
+const { query } = require('../models/database');
+
+// Every permission the API checks
+const PERMISSIONS = {
+  'users:read': 'List users',
+  'users:update': 'Change user details and roles',
+  'users:delete': 'Delete users',
+  'users:unlock': 'Lift login lockouts',
+  'roles:manage': 'Create and edit roles',
+  'audit:read': 'Review login attempts',
+  'reports:view': 'View dashboard statistics and revenue',
+  'teachers:read_all': 'View every teacher profile and documents',
+  'teachers:verify': 'Approve or reject teachers',
+  'students:read_all': 'View every student',
+  'subjects:manage': 'Create, edit and price subjects',
+  'bookings:read_all': 'View any booking',
+  'bookings:manage': 'Change the status of or reschedule any booking',
+  'sessions:read_all': 'View any class session',
+  'payments:read_all': 'View every payment',
+  'payments:verify': 'Approve or reject payment proofs',
+  'payments:refund': 'Issue and review refunds and adjust student credit',
+  'payouts:manage': 'Run and settle teacher payouts and set commission rates',
+  'discounts:manage': 'Create and edit discount codes',
+  'uploads:manage': 'Delete any uploaded file'
+};
+
+const WILDCARD = '*';
+const CACHE_TTL_MS = 60 * 1000;
+
+const cache = new Map();
+
+// Permissions that can be put in a role. The wildcard is reserved for the
+// built-in admin role and never assignable through the API.
+const isKnownPermission = (permission) =>
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+// Permissions granted to a role (cached briefly)
+const getRolePermissions = async (role) => {
+  const cached = cache.get(role);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const result = await query(
+    'SELECT permission FROM role_permissions WHERE role = $1',
+    [role]
+  );
+  const permissions = result.rows.map((row) => row.permission);
+  cache.set(role, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+// Forget cached permissions after a role is edited
+const clearPermissionCache = () => {
+  cache.clear();
+};
+
+// Check a user loaded by `authenticate` for a permission
+const hasPermission = (user, permission) => {
+  const permissions = (user && user.permissions) || [];
+  return permissions.includes(WILDCARD) || permissions.includes(permission);
+};
+
+// Staff may only hand out permissions they hold themselves
+const canGrantPermissions = (user, permissions) =>
+  permissions.every((permission) => hasPermission(user, permission));
+
+module.exports = {
+  PERMISSIONS,
+  isKnownPermission,
+  getRolePermissions,
+  clearPermissionCache,
+  hasPermission,
+  canGrantPermissions
+};
@@ -0,0 +1,234 @@
+// Refunds and student credit. Money goes back to a student as a refund
+// record, paid either the way they paid (approved by staff) or as credit on
+// their account, which can be spent on later bookings. Like the other
+// services, every function takes a `db` argument exposing `query`.
+
+const { transitionBookings, getPaymentUnitIds } = require('./bookingStatus');
+const { reverseEarningForRefund } = require('./earnings');
+
+// SQL condition for bookings whose payment was received: confirmed,
+// completed, or cancelled after having been confirmed. Expects alias `b`.
+const PAID_BOOKING_SQL = `(
+  b.status IN ('confirmed', 'completed')
+  OR (b.status = 'cancelled' AND EXISTS (
+    SELECT 1 FROM booking_status_history h WHERE h.booking_id = b.id AND h.to_status = 'confirmed'
+  ))
+)`;
+
+// SQL expression for the approved refunds of booking `b`
+const REFUNDED_SQL = `COALESCE((
+  SELECT SUM(r.amount) FROM refunds r WHERE r.booking_id = b.id AND r.status = 'approved'
+), 0)`;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const getCreditBalance = async (db, studentId) => {
+  const result = await db.query(
+    'SELECT COALESCE(SUM(amount), 0) AS balance FROM credit_transactions WHERE student_id = $1',
+    [studentId]
+  );
+  return parseFloat(result.rows[0].balance);
+};
+
+const addCreditTransaction = async (db, { studentId, amount, type, refundId = null, bookingId = null, note = null, createdBy = null }) => {
+  const result = await db.query(`
+    INSERT INTO credit_transactions (student_id, amount, type, refund_id, booking_id, note, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [studentId, amount, type, refundId, bookingId, note, createdBy]);
+  return result.rows[0];
+};
+
+// Record a refund. An approved credit refund goes straight onto the
+// student's balance; any approved refund reverses the teacher's earning.
+const createRefund = async (db, booking, {
+  amount,
+  method,
+  status = 'pending',
+  refundType = null,
+  reason = null,
+  cancellationId = null,
+  requestedBy = null,
+  approvedBy = null
+}) => {
+  const type = refundType || (amount >= parseFloat(booking.total_amount) ? 'full' : 'partial');
+  const result = await db.query(`
+    INSERT INTO refunds (
+      booking_id, student_id, cancellation_id, amount, refund_type, method,
+      status, reason, requested_by, approved_by, reviewed_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CASE WHEN $7 = 'pending' THEN NULL ELSE NOW() END)
+    RETURNING *
+  `, [booking.id, booking.student_id, cancellationId, amount, type, method, status, reason, requestedBy, approvedBy]);
+
+  const refund = result.rows[0];
+  if (refund.status === 'approved' && refund.method === 'credit') {
+    await addCreditTransaction(db, {
+      studentId: refund.student_id,
+      amount: refund.amount,
+      type: 'refund',
+      refundId: refund.id,
+      bookingId: refund.booking_id,
+      note: reason,
+      createdBy: approvedBy
+    });
+  }
+  if (refund.status === 'approved') {
+    await reverseEarningForRefund(db, refund);
+  }
+  return refund;
+};
+
+// Money already refunded or awaiting a refund decision for a booking
+const getRefundedAmount = async (db, bookingId) => {
+  const result = await db.query(
+    "SELECT COALESCE(SUM(amount), 0) AS total FROM refunds WHERE booking_id = $1 AND status <> 'rejected'",
+    [bookingId]
+  );
+  return parseFloat(result.rows[0].total);
+};
+
+// Turn a recorded cancellation into refunds. The share paid with credit
+// goes back as credit straight away; the rest follows the policy outcome:
+// a partial credit is issued at once, a full refund waits for staff to pay
+// it back. Credit spent on a booking that was never paid is released.
+const refundCancellation = async (db, booking, cancellation, { paid }) => {
+  const creditApplied = parseFloat(booking.credit_applied || 0);
+  const refunds = [];
+
+  if (!paid) {
+    if (creditApplied > 0) {
+      await addCreditTransaction(db, {
+        studentId: booking.student_id,
+        amount: creditApplied,
+        type: 'booking_release',
+        bookingId: booking.id,
+        note: 'Booking cancelled before payment'
+      });
+    }
+    return refunds;
+  }
+
+  const refundAmount = parseFloat(cancellation.refund_amount);
+  if (refundAmount <= 0) {
+    return refunds;
+  }
+
+  const refundType = parseFloat(cancellation.refund_percent) >= 100 ? 'full' : 'partial';
+  const options = { refundType, reason: cancellation.reason, cancellationId: cancellation.id, requestedBy: cancellation.cancelled_by };
+  const creditBack = cancellation.outcome === 'partial_credit'
+    ? refundAmount
+    : Math.min(refundAmount, roundMoney(creditApplied * parseFloat(cancellation.refund_percent) / 100));
+  const cashBack = roundMoney(refundAmount - creditBack);
+
+  if (creditBack > 0) {
+    refunds.push(await createRefund(db, booking, { ...options, amount: creditBack, method: 'credit', status: 'approved' }));
+  }
+  if (cashBack > 0) {
+    refunds.push(await createRefund(db, booking, { ...options, amount: cashBack, method: 'original_payment' }));
+  }
+  return refunds;
+};
+
+// Approve or reject a pending refund. Staff may switch the method when
+// approving (e.g. to credit). Returns the refund, or null if it is not pending.
+const reviewRefund = async (db, refundId, { approve, method, notes = null, externalReference = null, reviewerId }) => {
+  const result = await db.query(`
+    UPDATE refunds
+    SET status = $2,
+        method = COALESCE($3, method),
+        review_notes = $4,
+        external_reference = $5,
+        approved_by = CASE WHEN $2 = 'approved' THEN $6::int ELSE NULL END,
+        reviewed_at = NOW()
+    WHERE id = $1 AND status = 'pending'
+    RETURNING *
+  `, [refundId, approve ? 'approved' : 'rejected', method || null, notes, externalReference, reviewerId]);
+
+  const refund = result.rows[0];
+  if (refund && refund.status === 'approved' && refund.method === 'credit') {
+    await addCreditTransaction(db, {
+      studentId: refund.student_id,
+      amount: refund.amount,
+      type: 'refund',
+      refundId: refund.id,
+      bookingId: refund.booking_id,
+      note: refund.reason,
+      createdBy: reviewerId
+    });
+  }
+  if (refund && refund.status === 'approved') {
+    await reverseEarningForRefund(db, refund);
+  }
+  return refund || null;
+};
+
+// Spend a student's credit on the unpaid bookings of a booking's payment
+// unit. When credit covers everything the bookings are confirmed. Returns
+// { applied, balance, confirmed } or { error }.
+const applyCredit = async (db, bookingId, studentId, userId) => {
+  // Serialise credit spending per student
+  await db.query('SELECT id FROM students WHERE id = $1 FOR UPDATE', [studentId]);
+
+  let balance = await getCreditBalance(db, studentId);
+  if (balance <= 0) {
+    return { error: { status: 400, code: 'NO_CREDIT', message: 'No credit available' } };
+  }
+
+  const unitIds = await getPaymentUnitIds(db, bookingId);
+  const result = await db.query(`
+    SELECT * FROM bookings
+    WHERE id = ANY($1::int[]) AND status = 'pending_payment' AND credit_applied < total_amount
+    ORDER BY scheduled_date
+    FOR UPDATE
+  `, [unitIds]);
+  if (result.rows.length === 0) {
+    return { error: { status: 409, code: 'INVALID_TRANSITION', message: 'This booking is not awaiting payment' } };
+  }
+
+  let applied = 0;
+  let outstanding = 0;
+  for (const booking of result.rows) {
+    const due = roundMoney(parseFloat(booking.total_amount) - parseFloat(booking.credit_applied));
+    const spend = Math.min(due, balance);
+    outstanding = roundMoney(outstanding + due - spend);
+    if (spend <= 0) continue;
+
+    await db.query(
+      'UPDATE bookings SET credit_applied = credit_applied + $2, updated_at = NOW() WHERE id = $1',
+      [booking.id, spend]
+    );
+    await addCreditTransaction(db, {
+      studentId,
+      amount: -spend,
+      type: 'booking',
+      bookingId: booking.id,
+      createdBy: userId
+    });
+    applied = roundMoney(applied + spend);
+    balance = roundMoney(balance - spend);
+  }
+
+  // Lessons a discount made free are confirmed along with the rest
+  let confirmed = false;
+  if (outstanding === 0) {
+    const updated = await transitionBookings(db, unitIds, ['pending_payment'], 'confirmed', {
+      changedBy: userId,
+      reason: 'Paid with account credit'
+    });
+    confirmed = updated.length > 0;
+  }
+
+  return { applied, balance, outstanding, confirmed };
+};
+
+module.exports = {
+  PAID_BOOKING_SQL,
+  REFUNDED_SQL,
+  getCreditBalance,
+  addCreditTransaction,
+  createRefund,
+  getRefundedAmount,
+  refundCancellation,
+  reviewRefund,
+  applyCredit
+};
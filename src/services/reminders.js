@@ -0,0 +1,66 @@
+// Class reminders: jobs that fire 24 hours and 15 minutes before each
+// confirmed booking. They are created when a booking is confirmed, cancelled
+// with it and moved when it is rescheduled.
+
+const { query } = require('../models/database');
+const { registerJobHandler, scheduleJob, cancelJobs } = require('./jobs');
+const { notifyClassStarting } = require('./notifications');
+
+const REMINDER_JOB = 'class_reminder';
+
+// Minutes before the class at which reminders are sent
+const REMINDER_OFFSETS = [24 * 60, 15];
+
+const MINUTE_MS = 60 * 1000;
+
+// Create the reminders for confirmed bookings, skipping any whose time has passed
+const scheduleClassReminders = async (db, bookingIds) => {
+  const result = await db.query(
+    "SELECT id, scheduled_date FROM bookings WHERE id = ANY($1::int[]) AND status = 'confirmed'",
+    [bookingIds]
+  );
+
+  for (const booking of result.rows) {
+    for (const minutes of REMINDER_OFFSETS) {
+      const runAt = new Date(new Date(booking.scheduled_date).getTime() - minutes * MINUTE_MS);
+      if (runAt > new Date()) {
+        await scheduleJob(db, { type: REMINDER_JOB, bookingId: booking.id, runAt, payload: { minutes } });
+      }
+    }
+  }
+};
+
+const cancelClassReminders = async (db, bookingIds) => {
+  await cancelJobs(db, REMINDER_JOB, bookingIds);
+};
+
+// Replace the reminders of a booking whose time changed
+const rescheduleClassReminders = async (db, bookingId) => {
+  await cancelClassReminders(db, [bookingId]);
+  await scheduleClassReminders(db, [bookingId]);
+};
+
+registerJobHandler(REMINDER_JOB, async (job) => {
+  const result = await query(
+    'SELECT status, scheduled_date FROM bookings WHERE id = $1',
+    [job.booking_id]
+  );
+  const booking = result.rows[0];
+  const { minutes } = job.payload;
+
+  // The booking was cancelled, moved or the class has already started
+  if (!booking || booking.status !== 'confirmed') return 'skipped';
+  const startsAt = new Date(booking.scheduled_date).getTime();
+  if (startsAt - minutes * MINUTE_MS !== new Date(job.run_at).getTime()) return 'skipped';
+  if (startsAt <= Date.now()) return 'skipped';
+
+  await notifyClassStarting(job.booking_id, { minutes });
+  return 'completed';
+});
+
+module.exports = {
+  REMINDER_OFFSETS,
+  scheduleClassReminders,
+  cancelClassReminders,
+  rescheduleClassReminders
+};
@@ -0,0 +1,140 @@
+// Scheduling helpers shared by the booking routes.
+// Every function takes a `db` argument that exposes `query(text, params)`,
+// so it works with both the pool helper and a transaction client.
+
+// Booking statuses that occupy a teacher's time
+const ACTIVE_BOOKING_STATUSES = ['pending_payment', 'payment_under_review', 'confirmed'];
+
+// Bookable slots start on this grid inside each availability window
+const SLOT_STEP_MINUTES = 30;
+
+const MINUTE_MS = 60 * 1000;
+
+// Lock the teacher row so concurrent bookings for the same teacher are
+// checked and inserted one at a time. Must be called inside a transaction.
+const lockTeacherSchedule = async (db, teacherId) => {
+  const result = await db.query(
+    'SELECT id, meeting_link FROM teachers WHERE id = $1 FOR UPDATE',
+    [teacherId]
+  );
+  return result.rows[0] || null;
+};
+
+// Check that the whole lesson fits inside one of the teacher's weekly
+// availability windows, read as wall-clock times in the teacher's timezone
+const isWithinAvailability = async (db, teacherId, scheduledDate, duration) => {
+  const result = await db.query(`
+    SELECT a.id FROM availability a
+    JOIN teachers t ON a.teacher_id = t.id
+    JOIN users u ON t.user_id = u.id
+    CROSS JOIN LATERAL (
+      SELECT $2::timestamptz AT TIME ZONE u.timezone AS local_start
+    ) l
+    WHERE a.teacher_id = $1
+      AND a.is_available = true
+      AND a.day = TO_CHAR(l.local_start, 'FMday')
+      AND l.local_start >= l.local_start::date + a.start_time
+      AND l.local_start + $3::int * INTERVAL '1 minute' <= l.local_start::date + a.end_time
+    LIMIT 1
+  `, [teacherId, scheduledDate, duration]);
+  return result.rows.length > 0;
+};
+
+// Find an active booking of the teacher that overlaps the requested lesson
+const findConflictingBooking = async (db, teacherId, scheduledDate, duration, excludeBookingId = null) => {
+  const result = await db.query(`
+    SELECT id, scheduled_date, duration FROM bookings
+    WHERE teacher_id = $1
+      AND status = ANY($4::text[])
+      AND scheduled_date < $2::timestamptz + $3::int * INTERVAL '1 minute'
+      AND scheduled_date + duration * INTERVAL '1 minute' > $2::timestamptz
+      AND ($5::int IS NULL OR id <> $5::int)
+    LIMIT 1
+  `, [teacherId, scheduledDate, duration, ACTIVE_BOOKING_STATUSES, excludeBookingId]);
+  return result.rows[0] || null;
+};
+
+// Validate a proposed lesson time against the teacher's availability and
+// existing bookings. Returns null when the slot is free, otherwise an
+// object with the HTTP status and message to report.
+const validateSlot = async (db, teacherId, scheduledAt, duration, excludeBookingId = null) => {
+  if (new Date(scheduledAt) <= new Date()) {
+    return { status: 400, message: 'Scheduled date must be in the future' };
+  }
+
+  const available = await isWithinAvailability(db, teacherId, scheduledAt, duration);
+  if (!available) {
+    return { status: 400, message: 'Teacher is not available at the requested time' };
+  }
+
+  const conflict = await findConflictingBooking(db, teacherId, scheduledAt, duration, excludeBookingId);
+  if (conflict) {
+    return { status: 409, message: 'Teacher already has a booking at the requested time' };
+  }
+
+  return null;
+};
+
+// Expand the teacher's weekly availability into dated slots between two dates
+// (inclusive, in the teacher's timezone) and drop the ones that are in the
+// past or already booked
+const getAvailableSlots = async (db, teacherId, fromDate, toDate, duration) => {
+  const windowsResult = await db.query(`
+    SELECT
+      (d::date + a.start_time) AT TIME ZONE u.timezone AS window_start,
+      (d::date + a.end_time) AT TIME ZONE u.timezone AS window_end
+    FROM generate_series($2::date, $3::date, INTERVAL '1 day') AS d
+    JOIN availability a
+      ON a.teacher_id = $1
+      AND a.is_available = true
+      AND a.day = TO_CHAR(d, 'FMday')
+    JOIN teachers t ON a.teacher_id = t.id
+    JOIN users u ON t.user_id = u.id
+    ORDER BY window_start
+  `, [teacherId, fromDate, toDate]);
+
+  // Pad the range by a day on each side to cover any UTC offset
+  const bookingsResult = await db.query(`
+    SELECT scheduled_date, duration FROM bookings
+    WHERE teacher_id = $1
+      AND status = ANY($4::text[])
+      AND scheduled_date < $3::date + INTERVAL '2 days'
+      AND scheduled_date + duration * INTERVAL '1 minute' > $2::date - INTERVAL '1 day'
+  `, [teacherId, fromDate, toDate, ACTIVE_BOOKING_STATUSES]);
+
+  const taken = bookingsResult.rows.map((booking) => {
+    const start = new Date(booking.scheduled_date).getTime();
+    return { start, end: start + booking.duration * MINUTE_MS };
+  });
+
+  const now = Date.now();
+  const slots = [];
+
+  for (const window of windowsResult.rows) {
+    const windowEnd = new Date(window.window_end).getTime();
+    let start = new Date(window.window_start).getTime();
+
+    for (; start + duration * MINUTE_MS <= windowEnd; start += SLOT_STEP_MINUTES * MINUTE_MS) {
+      const end = start + duration * MINUTE_MS;
+      if (start <= now) continue;
+      if (taken.some((booking) => booking.start < end && booking.end > start)) continue;
+
+      slots.push({
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString()
+      });
+    }
+  }
+
+  return slots;
+};
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  SLOT_STEP_MINUTES,
+  getAvailableSlots,
+  lockTeacherSchedule,
+  isWithinAvailability,
+  findConflictingBooking,
+  validateSlot
+};
@@ -0,0 +1,50 @@
+// Class session helpers. Sessions follow their booking: one is created when
+// a booking is confirmed, moved when it is rescheduled and cancelled with it.
+// Every function takes a `db` argument exposing `query(text, params)`.
+
+// How early a teacher may start a session before its scheduled time
+const EARLY_START_MINUTES = 15;
+
+// Share of the booked duration, counted from the scheduled time, that must
+// pass before a session can be ended (and the booking completed)
+const MIN_ELAPSED_PERCENT = 50;
+
+// Create a scheduled session for each confirmed booking that has none yet
+const createSessionsForBookings = async (db, bookingIds) => {
+  const result = await db.query(`
+    INSERT INTO class_sessions (booking_id, scheduled_at, duration, meeting_link)
+    SELECT id, scheduled_date, duration, COALESCE(meeting_link, '')
+    FROM bookings
+    WHERE id = ANY($1::int[]) AND status = 'confirmed'
+    ON CONFLICT (booking_id) DO NOTHING
+    RETURNING *
+  `, [bookingIds]);
+  return result.rows;
+};
+
+// Cancel the sessions of cancelled bookings that have not finished,
+// stopping one that is under way
+const cancelSessionsForBookings = async (db, bookingIds) => {
+  await db.query(`
+    UPDATE class_sessions
+    SET status = 'cancelled', ended_at = CASE WHEN status = 'in_progress' THEN NOW() ELSE ended_at END
+    WHERE booking_id = ANY($1::int[]) AND status IN ('scheduled', 'in_progress')
+  `, [bookingIds]);
+};
+
+// Copy a rescheduled booking's new time onto its session
+const syncSessionSchedule = async (db, bookingId) => {
+  await db.query(`
+    UPDATE class_sessions cs SET scheduled_at = b.scheduled_date
+    FROM bookings b
+    WHERE cs.booking_id = b.id AND b.id = $1 AND cs.status = 'scheduled'
+  `, [bookingId]);
+};
+
+module.exports = {
+  EARLY_START_MINUTES,
+  MIN_ELAPSED_PERCENT,
+  createSessionsForBookings,
+  cancelSessionsForBookings,
+  syncSessionSchedule
+};
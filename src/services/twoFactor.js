@@ -0,0 +1,173 @@
+// Two-factor authentication: TOTP enrollment, backup codes, the login
+// challenge issued after a correct password, and the policy deciding who
+// must use 2FA.
+
+const crypto = require('crypto');
+const { query, transaction } = require('../models/database');
+const { hashToken, createOneTimeToken } = require('../utils/tokens');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { getRolePermissions } = require('./permissions');
+
+const ISSUER = 'IkLearnEdge';
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_EXPIRE_MINUTES = 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+// Whether 2FA is mandatory for a user: for anyone whose role grants a
+// permission (staff reach beyond their own records), or by admin decision
+const isTwoFactorRequired = async (user) => {
+  if (user.two_factor_required) return true;
+  const permissions = user.permissions || await getRolePermissions(user.role);
+  return permissions.length > 0;
+};
+
+// Start enrollment: store a pending secret and return it with its otpauth URI
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  await query(
+    'UPDATE users SET two_factor_pending_secret = $1 WHERE id = $2',
+    [secret, user.id]
+  );
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+  };
+};
+
+// Replace a user's backup codes; returns the new plain codes
+const regenerateBackupCodes = async (db, userId) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO two_factor_backup_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(code)]
+    );
+  }
+  return codes;
+};
+
+// Finish enrollment by confirming a code from the pending secret. Returns
+// the backup codes, or null if the code is wrong.
+const completeEnrollment = async (userId, code) => {
+  return transaction(async (client) => {
+    const result = await client.query(
+      'SELECT two_factor_pending_secret FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+    const secret = result.rows[0] && result.rows[0].two_factor_pending_secret;
+    if (!secret) return null;
+
+    const step = verifyCode(secret, code);
+    if (step === null) return null;
+
+    await client.query(`
+      UPDATE users
+      SET two_factor_enabled = true, two_factor_secret = $1, two_factor_pending_secret = NULL,
+          two_factor_last_step = $2, two_factor_enabled_at = NOW(), updated_at = NOW()
+      WHERE id = $3
+    `, [secret, step, userId]);
+
+    return regenerateBackupCodes(client, userId);
+  });
+};
+
+// Check a TOTP code or an unused backup code for a user with 2FA enabled.
+// A successful code is consumed.
+const verifySecondFactor = async (db, userId, code) => {
+  const result = await db.query(
+    'SELECT two_factor_secret, two_factor_last_step FROM users WHERE id = $1 AND two_factor_enabled = true FOR UPDATE',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || !code) return false;
+
+  const lastStep = user.two_factor_last_step === null ? null : Number(user.two_factor_last_step);
+  const step = verifyCode(user.two_factor_secret, code, { afterStep: lastStep });
+  if (step !== null) {
+    await db.query('UPDATE users SET two_factor_last_step = $1 WHERE id = $2', [step, userId]);
+    return true;
+  }
+
+  const backup = await db.query(`
+    UPDATE two_factor_backup_codes SET used_at = NOW()
+    WHERE id = (
+      SELECT id FROM two_factor_backup_codes
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      LIMIT 1
+    )
+    RETURNING id
+  `, [userId, hashToken(String(code).trim().toLowerCase())]);
+  return backup.rows.length > 0;
+};
+
+// Turn 2FA off and drop the secret and backup codes
+const disableTwoFactor = async (db, userId) => {
+  await db.query(`
+    UPDATE users
+    SET two_factor_enabled = false, two_factor_secret = NULL, two_factor_pending_secret = NULL,
+        two_factor_last_step = NULL, two_factor_enabled_at = NULL, updated_at = NOW()
+    WHERE id = $1
+  `, [userId]);
+  await db.query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [userId]);
+};
+
+// Record a password-verified login awaiting its second factor
+const createLoginChallenge = async (userId) => {
+  const { token, tokenHash } = createOneTimeToken();
+  await query(`
+    INSERT INTO login_challenges (user_id, token_hash, expires_at)
+    VALUES ($1, $2, NOW() + $3::int * INTERVAL '1 minute')
+  `, [userId, tokenHash, CHALLENGE_EXPIRE_MINUTES]);
+  return { challengeToken: token, expiresInMinutes: CHALLENGE_EXPIRE_MINUTES };
+};
+
+// Answer a login challenge. Returns { userId } on success or { error }
+// (with the userId when a wrong code was given). A challenge allows a few
+// wrong codes before it is discarded, and none while the account is locked.
+const completeLoginChallenge = async (challengeToken, code) => {
+  return transaction(async (client) => {
+    const result = await client.query(`
+      SELECT lc.id, lc.user_id, lc.attempts
+      FROM login_challenges lc
+      JOIN users u ON lc.user_id = u.id
+      WHERE lc.token_hash = $1 AND lc.completed_at IS NULL AND lc.expires_at > NOW()
+        AND (u.locked_until IS NULL OR u.locked_until <= NOW())
+      FOR UPDATE OF lc
+    `, [hashToken(challengeToken)]);
+
+    const challenge = result.rows[0];
+    if (!challenge || challenge.attempts >= CHALLENGE_MAX_ATTEMPTS) {
+      return { error: 'Login challenge expired, please log in again' };
+    }
+
+    if (!(await verifySecondFactor(client, challenge.user_id, code))) {
+      await client.query(
+        'UPDATE login_challenges SET attempts = attempts + 1 WHERE id = $1',
+        [challenge.id]
+      );
+      return { error: 'Invalid authentication code', userId: challenge.user_id };
+    }
+
+    await client.query(
+      'UPDATE login_challenges SET completed_at = NOW() WHERE id = $1',
+      [challenge.id]
+    );
+    return { userId: challenge.user_id };
+  });
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  beginEnrollment,
+  completeEnrollment,
+  regenerateBackupCodes,
+  verifySecondFactor,
+  disableTwoFactor,
+  createLoginChallenge,
+  completeLoginChallenge
+};
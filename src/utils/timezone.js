@@ -0,0 +1,99 @@
+// Timezone helpers built on the Intl API (IANA zone names, e.g. 'Asia/Karachi')
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Check that a string is a timezone the runtime knows about
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in the given timezone
+const getZonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  for (const part of parts) {
+    if (part.type !== 'literal') values[part.type] = parseInt(part.value, 10);
+  }
+  return values;
+};
+
+// Offset of the timezone from UTC at the given instant, in minutes
+const getOffsetMinutes = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// Render an instant as an ISO 8601 string with the timezone's offset,
+// e.g. 2024-05-01T20:00:00+05:00
+const formatInTimezone = (value, timezone = DEFAULT_TIMEZONE) => {
+  if (!value) return null;
+  const date = new Date(value);
+  const p = getZonedParts(date, timezone);
+  const offset = getOffsetMinutes(date, timezone);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
+
+// Turn user input into an absolute instant. Strings that carry an offset
+// (or Z) are taken as-is; naive wall-clock times are read in `timezone`.
+const toInstant = (value, timezone = DEFAULT_TIMEZONE) => {
+  if (value instanceof Date) return value;
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value) || !/T\d{2}:\d{2}/.test(value)) {
+    return new Date(value);
+  }
+
+  const naiveUtc = new Date(`${value}Z`).getTime();
+  let instant = naiveUtc - getOffsetMinutes(new Date(naiveUtc), timezone) * 60000;
+  // Re-check once in case the guess crossed a DST boundary
+  instant = naiveUtc - getOffsetMinutes(new Date(instant), timezone) * 60000;
+  return new Date(instant);
+};
+
+// Move an instant by whole days on the timezone's wall clock, so a weekly
+// 17:00 lesson stays at 17:00 across DST changes
+const addDaysInTimezone = (value, days, timezone = DEFAULT_TIMEZONE) => {
+  const local = formatInTimezone(value, timezone).slice(0, 19);
+  const shifted = new Date(new Date(`${local}Z`).getTime() + days * 24 * 60 * 60 * 1000);
+  return toInstant(shifted.toISOString().slice(0, 19), timezone);
+};
+
+// Add the booking's time rendered in the viewer's timezone
+const localizeBooking = (booking, timezone = DEFAULT_TIMEZONE) => {
+  if (!booking) return booking;
+  return {
+    ...booking,
+    timezone,
+    scheduled_date_local: formatInTimezone(booking.scheduled_date, timezone)
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  formatInTimezone,
+  toInstant,
+  addDaysInTimezone,
+  localizeBooking
+};
@@ -0,0 +1,16 @@
+// One-time tokens (password reset, email verification). The raw token is
+// sent to the user; only its SHA-256 hash is stored.
+
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createOneTimeToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+module.exports = {
+  hashToken,
+  createOneTimeToken
+};
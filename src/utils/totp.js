@@ -0,0 +1,100 @@
+// Time-based one-time passwords (RFC 6238) compatible with Google
+// Authenticator and similar apps: SHA-1, 6 digits, 30-second steps.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// New random shared secret, base32 encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step a moment falls in
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// Code for a given time step
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Check a code against the current step and `window` steps either side.
+// Returns the matching step, or null. Steps at or before `afterStep` are
+// rejected so a code cannot be replayed.
+const verifyCode = (secret, code, { window = 1, afterStep = null } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = getTimeStep();
+  for (let step = current - window; step <= current + window; step++) {
+    if (afterStep !== null && step <= afterStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI for authenticator apps (usually shown as a QR code)
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+};